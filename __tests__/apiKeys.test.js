@@ -0,0 +1,161 @@
+const {
+  verifyApiKeyCached,
+  apiKeyLookupRequired,
+  hashApiKey,
+  apiKeyCache,
+} = require("../src/apiKeys");
+const { GetItemCommand } = require("@aws-sdk/client-dynamodb");
+
+// Mock DynamoDB client
+const mockSend = jest.fn();
+const mockDdbClient = { send: mockSend };
+
+const apiKey = "0123456789abcdef0123456789abcdef";
+
+describe("verifyApiKeyCached", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2025, 10, 3, 15, 30, 0));
+    apiKeyCache.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("looks up the hashed key and returns a token-shaped payload", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        clientId: { S: "batch-client" },
+        scopes: { SS: ["tariff/read", "spimm/read"] },
+      },
+    });
+
+    const payload = await verifyApiKeyCached(
+      mockDdbClient,
+      "client-api-keys",
+      apiKey,
+    );
+
+    expect(payload).toStrictEqual({
+      client_id: "batch-client",
+      scope: "tariff/read spimm/read",
+      issuer_name: "api-key",
+    });
+    expect(mockSend.mock.calls[0][0]).toBeInstanceOf(GetItemCommand);
+    expect(mockSend.mock.calls[0][0].input).toStrictEqual({
+      TableName: "client-api-keys",
+      Key: { keyHash: { S: hashApiKey(apiKey) } },
+      ProjectionExpression: "clientId, scopes",
+    });
+  });
+
+  it("accepts space separated scopes stored as a string", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        clientId: { S: "batch-client" },
+        scopes: { S: "tariff/read tariff/write" },
+      },
+    });
+
+    const payload = await verifyApiKeyCached(
+      mockDdbClient,
+      "client-api-keys",
+      apiKey,
+    );
+
+    expect(payload.scope).toBe("tariff/read tariff/write");
+  });
+
+  it("never sends the raw key to DynamoDB", async () => {
+    mockSend.mockResolvedValueOnce({ Item: undefined });
+
+    await verifyApiKeyCached(mockDdbClient, "client-api-keys", apiKey);
+
+    expect(JSON.stringify(mockSend.mock.calls[0][0].input)).not.toContain(
+      apiKey,
+    );
+  });
+
+  it("returns null for unknown keys", async () => {
+    mockSend.mockResolvedValueOnce({ Item: undefined });
+
+    const payload = await verifyApiKeyCached(
+      mockDdbClient,
+      "client-api-keys",
+      apiKey,
+    );
+
+    expect(payload).toBeNull();
+  });
+
+  it("returns null without a lookup for keys of implausible length", async () => {
+    const payload = await verifyApiKeyCached(
+      mockDdbClient,
+      "client-api-keys",
+      "short",
+    );
+
+    expect(payload).toBeNull();
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  it("serves repeat lookups from the cache until the TTL expires", async () => {
+    mockSend.mockResolvedValue({
+      Item: {
+        clientId: { S: "batch-client" },
+        scopes: { SS: ["tariff/read"] },
+      },
+    });
+
+    await verifyApiKeyCached(mockDdbClient, "client-api-keys", apiKey);
+    await verifyApiKeyCached(mockDdbClient, "client-api-keys", apiKey);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(60001);
+    await verifyApiKeyCached(mockDdbClient, "client-api-keys", apiKey);
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+
+  it("caches misses so unknown keys don't cost a read per request", async () => {
+    mockSend.mockResolvedValue({ Item: undefined });
+
+    await verifyApiKeyCached(mockDdbClient, "client-api-keys", apiKey);
+    await verifyApiKeyCached(mockDdbClient, "client-api-keys", apiKey);
+
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  it("propagates DynamoDB errors", async () => {
+    mockSend.mockRejectedValueOnce(new Error("Network error"));
+
+    await expect(
+      verifyApiKeyCached(mockDdbClient, "client-api-keys", apiKey),
+    ).rejects.toThrow("Network error");
+  });
+});
+
+describe("apiKeyLookupRequired", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    apiKeyCache.clear();
+  });
+
+  it("is true for well-formed keys that aren't cached", () => {
+    expect(apiKeyLookupRequired(apiKey)).toBe(true);
+  });
+
+  it("is false for keys of implausible length", () => {
+    expect(apiKeyLookupRequired("short")).toBe(false);
+    expect(apiKeyLookupRequired("a".repeat(257))).toBe(false);
+  });
+
+  it("is false once a key's lookup, even a miss, is cached", async () => {
+    mockSend.mockResolvedValueOnce({});
+
+    await verifyApiKeyCached(mockDdbClient, "client-api-keys", apiKey);
+
+    expect(apiKeyLookupRequired(apiKey)).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+const { createTtlCache, setBounded } = require("../src/cache");
+
+describe("setBounded", () => {
+  it("evicts the oldest key once the map is full", () => {
+    const map = new Map();
+
+    setBounded(map, "a", 1, 2);
+    setBounded(map, "b", 2, 2);
+    setBounded(map, "c", 3, 2);
+
+    expect(Array.from(map.keys())).toStrictEqual(["b", "c"]);
+  });
+
+  it("updates an existing key without evicting another", () => {
+    const map = new Map([
+      ["a", 1],
+      ["b", 2],
+    ]);
+
+    setBounded(map, "a", 10, 2);
+
+    expect(Object.fromEntries(map)).toStrictEqual({ a: 10, b: 2 });
+  });
+});
+
+describe("createTtlCache", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2025, 10, 3, 15, 30, 0));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("returns cached values, including null, until they expire", () => {
+    const cache = createTtlCache({ ttlMs: 1000 });
+
+    cache.set("hit", { clientId: "abc" });
+    cache.set("miss", null);
+
+    expect(cache.get("hit")).toStrictEqual({ clientId: "abc" });
+    expect(cache.get("miss")).toBeNull();
+    expect(cache.get("unknown")).toBeUndefined();
+
+    jest.advanceTimersByTime(1000);
+    expect(cache.get("hit")).toBeUndefined();
+    expect(cache.size).toBe(1);
+  });
+
+  it("holds at most maxSize entries", () => {
+    const cache = createTtlCache({ ttlMs: 1000, maxSize: 2 });
+
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.set("c", 3);
+
+    expect(cache.size).toBe(2);
+    expect(cache.get("a")).toBeUndefined();
+    expect(cache.get("c")).toBe(3);
+  });
+
+  it("empties on clear", () => {
+    const cache = createTtlCache({ ttlMs: 1000 });
+
+    cache.set("a", 1);
+    cache.clear();
+
+    expect(cache.size).toBe(0);
+  });
+});
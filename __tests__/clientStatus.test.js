@@ -0,0 +1,212 @@
+const { getClientStatus, statusCache } = require("../src/clientStatus");
+const { GetItemCommand } = require("@aws-sdk/client-dynamodb");
+const { error } = require("../src/logger");
+
+jest.mock("../src/logger", () => ({
+  error: jest.fn(),
+}));
+
+// Mock DynamoDB client
+const mockSend = jest.fn();
+const mockDdbClient = { send: mockSend };
+
+describe("getClientStatus", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2025, 10, 3, 15, 30, 0)); // Unix: 1762183800
+    statusCache.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("treats clients without a status as active", async () => {
+    mockSend.mockResolvedValueOnce({ Item: undefined });
+
+    const result = await getClientStatus(
+      mockDdbClient,
+      "client-rate-limits",
+      "test-client",
+    );
+
+    expect(result).toStrictEqual({
+      status: "active",
+      reason: null,
+      expiresAt: null,
+      allowedCidrs: null,
+      limits: {
+        maxTokens: undefined,
+        refillRate: undefined,
+        refillInterval: undefined,
+      },
+    });
+    expect(mockSend.mock.calls[0][0]).toBeInstanceOf(GetItemCommand);
+    expect(mockSend.mock.calls[0][0].input).toStrictEqual({
+      TableName: "client-rate-limits",
+      Key: { clientId: { S: "test-client" } },
+      ProjectionExpression:
+        "#status, statusReason, statusExpiresAt, allowedCidrs, maxTokens, refillRate, refillInterval",
+      ExpressionAttributeNames: { "#status": "status" },
+    });
+  });
+
+  it("returns a suspension with its reason and expiry", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        status: { S: "suspended" },
+        statusReason: { S: "Scraping" },
+        statusExpiresAt: { N: "1762187400" },
+      },
+    });
+
+    const result = await getClientStatus(
+      mockDdbClient,
+      "client-rate-limits",
+      "test-client",
+    );
+
+    expect(result).toStrictEqual({
+      status: "suspended",
+      reason: "Scraping",
+      expiresAt: 1762187400,
+      allowedCidrs: null,
+      limits: {
+        maxTokens: undefined,
+        refillRate: undefined,
+        refillInterval: undefined,
+      },
+    });
+  });
+
+  it("treats an expired suspension as active", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        status: { S: "suspended" },
+        statusExpiresAt: { N: "1762183799" },
+      },
+    });
+
+    const result = await getClientStatus(
+      mockDdbClient,
+      "client-rate-limits",
+      "test-client",
+    );
+
+    expect(result.status).toBe("active");
+  });
+
+  it("lifts a cached suspension once it expires", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        status: { S: "blocked" },
+        statusExpiresAt: { N: "1762183810" },
+      },
+    });
+
+    await expect(
+      getClientStatus(mockDdbClient, "client-rate-limits", "test-client"),
+    ).resolves.toEqual(expect.objectContaining({ status: "blocked" }));
+
+    jest.advanceTimersByTime(10000);
+
+    await expect(
+      getClientStatus(mockDdbClient, "client-rate-limits", "test-client"),
+    ).resolves.toEqual(expect.objectContaining({ status: "active" }));
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  it("returns the limits stored on the client's item", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        maxTokens: { N: "100" },
+        refillRate: { N: "10" },
+        refillInterval: { N: "1" },
+      },
+    });
+
+    const result = await getClientStatus(
+      mockDdbClient,
+      "client-rate-limits",
+      "test-client",
+    );
+
+    expect(result.limits).toStrictEqual({
+      maxTokens: "100",
+      refillRate: "10",
+      refillInterval: "1",
+    });
+  });
+
+  it("treats unknown statuses as active", async () => {
+    mockSend.mockResolvedValueOnce({ Item: { status: { S: "supended" } } });
+
+    const result = await getClientStatus(
+      mockDdbClient,
+      "client-rate-limits",
+      "test-client",
+    );
+
+    expect(result.status).toBe("active");
+  });
+
+  it("caches the status until the TTL expires", async () => {
+    mockSend.mockResolvedValue({ Item: { status: { S: "blocked" } } });
+
+    await getClientStatus(mockDdbClient, "client-rate-limits", "test-client");
+    await getClientStatus(mockDdbClient, "client-rate-limits", "test-client");
+    expect(mockSend).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(30001);
+    await getClientStatus(mockDdbClient, "client-rate-limits", "test-client");
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+
+  it("propagates DynamoDB errors", async () => {
+    mockSend.mockRejectedValueOnce(new Error("Network error"));
+
+    await expect(
+      getClientStatus(mockDdbClient, "client-rate-limits", "test-client"),
+    ).rejects.toThrow("Network error");
+  });
+
+  it("parses an allowlist from a string set", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: { allowedCidrs: { SS: ["203.0.113.0/24", "2001:db8::/32"] } },
+    });
+
+    const result = await getClientStatus(
+      mockDdbClient,
+      "client-rate-limits",
+      "test-client",
+    );
+
+    expect(result.allowedCidrs).toStrictEqual([
+      { version: 4, bytes: [203, 0, 113, 0], prefixLength: 24 },
+      {
+        version: 6,
+        bytes: [0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+        prefixLength: 32,
+      },
+    ]);
+  });
+
+  it("drops invalid allowlist entries rather than ignoring the allowlist", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: { allowedCidrs: { L: [{ S: "not-a-range" }] } },
+    });
+
+    const result = await getClientStatus(
+      mockDdbClient,
+      "client-rate-limits",
+      "test-client",
+    );
+
+    expect(result.allowedCidrs).toStrictEqual([]);
+    expect(error).toHaveBeenCalledWith(
+      "Ignoring invalid CIDR in client allowlist:",
+      { clientId: "test-client", cidr: "not-a-range" },
+    );
+  });
+});
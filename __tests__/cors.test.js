@@ -0,0 +1,210 @@
+const {
+  compileCorsPolicy,
+  corsHeaders,
+  preflightResponse,
+} = require("../src/cors");
+
+const scopeAllows = jest.fn(
+  (scope, path, method) =>
+    scope === "tariff/read" && path.startsWith("/uk/api/") && method === "GET",
+);
+
+const policy = compileCorsPolicy(
+  {
+    allowedHeaders: ["Authorization", "Content-Type"],
+    exposedHeaders: ["X-RateLimit-Remaining"],
+    maxAgeSeconds: 300,
+    rules: [
+      { scope: "tariff/read", origins: ["*"] },
+      {
+        paths: ["/uk/admin/**"],
+        methods: ["GET", "POST"],
+        origins: ["https://admin.example.com", "https://*.dev.example.com"],
+      },
+    ],
+  },
+  scopeAllows,
+);
+
+function createRequest({ method = "OPTIONS", headers = {} } = {}) {
+  return {
+    method,
+    headers: Object.fromEntries(
+      Object.entries(headers).map(([key, value]) => [
+        key.toLowerCase(),
+        [{ key, value }],
+      ]),
+    ),
+  };
+}
+
+describe("preflightResponse", () => {
+  it("answers an allowed preflight", () => {
+    const request = createRequest({
+      headers: {
+        Origin: "https://admin.example.com",
+        "Access-Control-Request-Method": "post",
+      },
+    });
+
+    expect(preflightResponse(policy, request, "/uk/admin/news")).toStrictEqual({
+      status: "204",
+      statusDescription: "No Content",
+      headers: {
+        vary: [{ key: "Vary", value: "Origin" }],
+        "access-control-allow-origin": [
+          {
+            key: "Access-Control-Allow-Origin",
+            value: "https://admin.example.com",
+          },
+        ],
+        "access-control-allow-methods": [
+          { key: "Access-Control-Allow-Methods", value: "POST" },
+        ],
+        "access-control-allow-headers": [
+          {
+            key: "Access-Control-Allow-Headers",
+            value: "Authorization, Content-Type",
+          },
+        ],
+        "access-control-max-age": [
+          { key: "Access-Control-Max-Age", value: "300" },
+        ],
+      },
+    });
+  });
+
+  it("uses the scope's paths and methods for scope rules", () => {
+    const request = createRequest({
+      headers: {
+        Origin: "https://anywhere.example.org",
+        "Access-Control-Request-Method": "GET",
+      },
+    });
+    const response = preflightResponse(policy, request, "/uk/api/sections");
+
+    expect(scopeAllows).toHaveBeenCalledWith(
+      "tariff/read",
+      "/uk/api/sections",
+      "GET",
+    );
+    expect(response.headers["access-control-allow-origin"]).toStrictEqual([
+      {
+        key: "Access-Control-Allow-Origin",
+        value: "https://anywhere.example.org",
+      },
+    ]);
+  });
+
+  it("refuses an origin the matching rule doesn't list without CORS headers", () => {
+    const request = createRequest({
+      headers: {
+        Origin: "https://evil.example.com",
+        "Access-Control-Request-Method": "GET",
+      },
+    });
+
+    expect(preflightResponse(policy, request, "/uk/admin/news")).toStrictEqual({
+      status: "204",
+      statusDescription: "No Content",
+      headers: { vary: [{ key: "Vary", value: "Origin" }] },
+    });
+  });
+
+  it.each([
+    ["DELETE", "/uk/admin/news"],
+    ["GET", "/xi/admin/news"],
+    ["POST", "/uk/api/sections"],
+  ])(
+    "forwards a %s %s preflight that no rule covers",
+    (requestMethod, path) => {
+      const request = createRequest({
+        headers: {
+          Origin: "https://admin.example.com",
+          "Access-Control-Request-Method": requestMethod,
+        },
+      });
+
+      expect(preflightResponse(policy, request, path)).toBeNull();
+    },
+  );
+
+  it("matches subdomain wildcards", () => {
+    const request = createRequest({
+      headers: {
+        Origin: "https://feature-1.dev.example.com",
+        "Access-Control-Request-Method": "GET",
+      },
+    });
+    const response = preflightResponse(policy, request, "/uk/admin/news");
+
+    expect(response.headers["access-control-allow-origin"]).toBeDefined();
+  });
+
+  it("does not let a wildcard match the bare domain or another suffix", () => {
+    for (const origin of [
+      "https://dev.example.com",
+      "https://a.dev.example.com.evil.com",
+    ]) {
+      const request = createRequest({
+        headers: { Origin: origin, "Access-Control-Request-Method": "GET" },
+      });
+      const response = preflightResponse(policy, request, "/uk/admin/news");
+
+      expect(response.headers["access-control-allow-origin"]).toBeUndefined();
+    }
+  });
+
+  it.each([
+    [createRequest({ method: "GET", headers: { Origin: "https://a.com" } })],
+    [createRequest({ headers: { Origin: "https://a.com" } })],
+    [createRequest({ headers: { "Access-Control-Request-Method": "GET" } })],
+  ])("returns null for requests that are not preflights", (request) => {
+    expect(preflightResponse(policy, request, "/uk/api/sections")).toBeNull();
+  });
+
+  it("returns null without a policy", () => {
+    const request = createRequest({
+      headers: {
+        Origin: "https://admin.example.com",
+        "Access-Control-Request-Method": "GET",
+      },
+    });
+
+    expect(preflightResponse(null, request, "/uk/admin/news")).toBeNull();
+  });
+});
+
+describe("corsHeaders", () => {
+  it("allows the origin and exposes headers for an allowed request", () => {
+    expect(
+      corsHeaders(policy, "https://admin.example.com", "/uk/admin/news", "get"),
+    ).toStrictEqual({
+      vary: [{ key: "Vary", value: "Origin" }],
+      "access-control-allow-origin": [
+        {
+          key: "Access-Control-Allow-Origin",
+          value: "https://admin.example.com",
+        },
+      ],
+      "access-control-expose-headers": [
+        {
+          key: "Access-Control-Expose-Headers",
+          value: "X-RateLimit-Remaining",
+        },
+      ],
+    });
+  });
+
+  it("only varies on Origin for a disallowed origin", () => {
+    expect(
+      corsHeaders(policy, "https://evil.example.com", "/uk/admin/news", "GET"),
+    ).toStrictEqual({ vary: [{ key: "Vary", value: "Origin" }] });
+  });
+
+  it("adds nothing without an Origin", () => {
+    expect(
+      corsHeaders(policy, undefined, "/uk/admin/news", "GET"),
+    ).toStrictEqual({});
+  });
+});
@@ -0,0 +1,167 @@
+const {
+  getClientEntitlements,
+  effectiveScopes,
+  entitlementsCache,
+} = require("../src/entitlements");
+const { GetItemCommand } = require("@aws-sdk/client-dynamodb");
+const { matchPath } = require("../src/pathPattern");
+const { error } = require("../src/logger");
+
+jest.mock("../src/logger", () => ({
+  error: jest.fn(),
+}));
+
+// Mock DynamoDB client
+const mockSend = jest.fn();
+const mockDdbClient = { send: mockSend };
+
+describe("getClientEntitlements", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2025, 10, 3, 15, 30, 0));
+    entitlementsCache.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("returns null for clients without overrides", async () => {
+    mockSend.mockResolvedValueOnce({ Item: undefined });
+
+    const result = await getClientEntitlements(
+      mockDdbClient,
+      "client-entitlements",
+      "test-client",
+    );
+
+    expect(result).toBeNull();
+    expect(mockSend.mock.calls[0][0]).toBeInstanceOf(GetItemCommand);
+    expect(mockSend.mock.calls[0][0].input).toStrictEqual({
+      TableName: "client-entitlements",
+      Key: { clientId: { S: "test-client" } },
+      ProjectionExpression:
+        "grantedScopes, deniedScopes, allowedPaths, excludedPaths",
+    });
+  });
+
+  it("parses scope grants and denials from sets or lists", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        grantedScopes: { SS: ["spimm/read", "fpo/read"] },
+        deniedScopes: { L: [{ S: "tariff/write" }] },
+      },
+    });
+
+    const result = await getClientEntitlements(
+      mockDdbClient,
+      "client-entitlements",
+      "test-client",
+    );
+
+    expect(result).toStrictEqual({
+      grantedScopes: ["spimm/read", "fpo/read"],
+      deniedScopes: ["tariff/write"],
+      allowedPaths: [],
+      excludedPaths: [],
+    });
+  });
+
+  it("compiles path rules with optional methods", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        allowedPaths: {
+          L: [
+            { S: "/uk/api/exchange_rates/**" },
+            {
+              M: {
+                path: { S: "/uk/api/green_lanes/**" },
+                methods: { SS: ["get", "post"] },
+              },
+            },
+          ],
+        },
+        excludedPaths: { SS: ["/xi/api/**"] },
+      },
+    });
+
+    const result = await getClientEntitlements(
+      mockDdbClient,
+      "client-entitlements",
+      "test-client",
+    );
+
+    expect(result.allowedPaths).toHaveLength(2);
+    expect(result.allowedPaths[0].methods).toBeNull();
+    expect(
+      matchPath(result.allowedPaths[0].matcher, "/uk/api/exchange_rates/files"),
+    ).toBeTruthy();
+    expect(result.allowedPaths[1].methods).toStrictEqual(["GET", "POST"]);
+    expect(
+      matchPath(result.excludedPaths[0].matcher, "/xi/api/sections"),
+    ).toBeTruthy();
+  });
+
+  it("drops path rules that don't compile", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: { allowedPaths: { SS: ["uk/api/**", "/uk/api/sections"] } },
+    });
+
+    const result = await getClientEntitlements(
+      mockDdbClient,
+      "client-entitlements",
+      "test-client",
+    );
+
+    expect(result.allowedPaths).toHaveLength(1);
+    expect(error).toHaveBeenCalledWith(
+      "Ignoring invalid path in client entitlements:",
+      expect.objectContaining({ clientId: "test-client", path: "uk/api/**" }),
+    );
+  });
+
+  it("caches lookups, including misses, until the TTL expires", async () => {
+    mockSend.mockResolvedValue({ Item: undefined });
+
+    await getClientEntitlements(mockDdbClient, "client-entitlements", "abc");
+    await getClientEntitlements(mockDdbClient, "client-entitlements", "abc");
+    expect(mockSend).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(30001);
+    await getClientEntitlements(mockDdbClient, "client-entitlements", "abc");
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+
+  it("propagates DynamoDB errors", async () => {
+    mockSend.mockRejectedValueOnce(new Error("Network error"));
+
+    await expect(
+      getClientEntitlements(mockDdbClient, "client-entitlements", "abc"),
+    ).rejects.toThrow("Network error");
+  });
+});
+
+describe("effectiveScopes", () => {
+  it("passes the token's scopes through without entitlements", () => {
+    expect(effectiveScopes("tariff/read", null)).toBe("tariff/read");
+  });
+
+  it("adds granted scopes and removes denied ones", () => {
+    expect(
+      effectiveScopes("tariff/read tariff/write", {
+        grantedScopes: ["spimm/read"],
+        deniedScopes: ["tariff/write"],
+      }),
+    ).toBe("tariff/read spimm/read");
+  });
+
+  it("lets a denial override a grant", () => {
+    expect(
+      effectiveScopes(undefined, {
+        grantedScopes: ["spimm/read"],
+        deniedScopes: ["spimm/read"],
+      }),
+    ).toBe("");
+  });
+});
@@ -0,0 +1,208 @@
+const {
+  JwtExpiredError,
+  JwtParseError,
+  JwtInvalidSignatureError,
+  KidNotFoundInJwksError,
+  JwtInvalidIssuerError,
+  CognitoJwtInvalidTokenUseError,
+  CognitoJwtInvalidClientIdError,
+  JwtInvalidClaimError,
+  JwtNotBeforeError,
+  FetchError,
+} = require("aws-jwt-verify/error");
+const { ERROR_CODES, errorResponse, tokenErrorCode } = require("../src/errors");
+const { MESSAGES } = require("../src/messages");
+
+const DOCS_URL =
+  "https://github.com/trade-tariff/trade-tariff-lambdas-authenticator/blob/main/docs/errors.md";
+
+describe("errorResponse", () => {
+  it("renders a JSON:API error with a stable code and documentation link", () => {
+    const response = errorResponse("rate_limited");
+
+    expect(response).toStrictEqual({
+      status: "429",
+      statusDescription: "Too Many Requests",
+      headers: {
+        "content-type": [
+          { key: "Content-Type", value: "application/vnd.api+json" },
+        ],
+        "content-language": [{ key: "Content-Language", value: "en" }],
+        "cache-control": [{ key: "Cache-Control", value: "no-store" }],
+      },
+      body: JSON.stringify({
+        errors: [
+          {
+            status: "429",
+            code: "rate_limited",
+            title: "Too Many Requests",
+            detail:
+              "You have exceeded your rate limit. Please try your request again later.",
+            links: { about: `${DOCS_URL}#rate_limited` },
+          },
+        ],
+      }),
+    });
+  });
+
+  it("adds the matching bearer challenge for token errors", () => {
+    const response = errorResponse("token_expired");
+
+    expect(response.headers["www-authenticate"]).toStrictEqual([
+      {
+        key: "WWW-Authenticate",
+        value:
+          'Bearer realm="trade-tariff", error="invalid_token", error_description="The access token has expired"',
+      },
+    ]);
+  });
+
+  it("includes the satisfying scopes for insufficient_scope", () => {
+    const response = errorResponse("scope_insufficient", {
+      scope: "tariff/read tariff/write",
+    });
+
+    expect(response.headers["www-authenticate"][0].value).toBe(
+      'Bearer realm="trade-tariff", error="insufficient_scope", error_description="The access token does not grant access to this resource", scope="tariff/read tariff/write"',
+    );
+  });
+
+  it("keeps extra headers and meta", () => {
+    const response = errorResponse("client_blocked", {
+      headers: { "x-test": [{ key: "X-Test", value: "1" }] },
+      meta: { clientStatus: "blocked" },
+    });
+
+    expect(response.headers["x-test"]).toStrictEqual([
+      { key: "X-Test", value: "1" },
+    ]);
+    expect(response.headers["www-authenticate"]).toBeUndefined();
+    expect(JSON.parse(response.body).errors[0].meta).toStrictEqual({
+      clientStatus: "blocked",
+    });
+  });
+
+  it("documents a description for every invalid_token or insufficient_scope code", () => {
+    for (const entry of Object.values(ERROR_CODES)) {
+      if (entry.challenge) {
+        expect(entry.description).toMatch(/^[^"\\]+$/);
+      }
+    }
+  });
+});
+
+describe("errorResponse formats", () => {
+  it("renders problem+json with the documentation link as the type", () => {
+    const response = errorResponse("client_suspended", {
+      accept: "application/problem+json",
+      meta: { clientStatus: "suspended" },
+    });
+
+    expect(response.headers["content-type"]).toStrictEqual([
+      { key: "Content-Type", value: "application/problem+json" },
+    ]);
+    expect(JSON.parse(response.body)).toStrictEqual({
+      type: `${DOCS_URL}#client_suspended`,
+      title: "Forbidden",
+      status: 403,
+      detail: MESSAGES.en.details.client_suspended,
+      code: "client_suspended",
+      clientStatus: "suspended",
+    });
+  });
+
+  it("renders an HTML page for browsers", () => {
+    const response = errorResponse("scope_insufficient", {
+      accept: "text/html,application/xhtml+xml,*/*;q=0.8",
+      scope: "tariff/read",
+    });
+
+    expect(response.status).toBe("403");
+    expect(response.headers["content-type"]).toStrictEqual([
+      { key: "Content-Type", value: "text/html; charset=utf-8" },
+    ]);
+    expect(response.headers["cache-control"]).toStrictEqual([
+      { key: "Cache-Control", value: "no-store" },
+    ]);
+    expect(response.headers["www-authenticate"]).toBeDefined();
+    expect(response.body).toMatch(/^<!DOCTYPE html>/);
+    expect(response.body).toContain(
+      '<h1 class="govuk-heading-l">Forbidden</h1>',
+    );
+    expect(response.body).toContain(`href="${DOCS_URL}#scope_insufficient"`);
+  });
+});
+
+describe("errorResponse languages", () => {
+  it("translates every code into every language", () => {
+    for (const messages of Object.values(MESSAGES)) {
+      expect(Object.keys(messages.details).sort()).toStrictEqual(
+        Object.keys(ERROR_CODES).sort(),
+      );
+      for (const { status } of Object.values(ERROR_CODES)) {
+        expect(messages.titles[status]).toEqual(expect.any(String));
+      }
+    }
+  });
+
+  it("renders Welsh when it is preferred", () => {
+    const response = errorResponse("token_expired", {
+      acceptLanguage: "cy-GB,cy;q=0.9,en;q=0.8",
+    });
+    const errorObject = JSON.parse(response.body).errors[0];
+
+    expect(response.headers["content-language"]).toStrictEqual([
+      { key: "Content-Language", value: "cy" },
+    ]);
+    expect(errorObject.title).toBe("Heb awdurdod");
+    expect(errorObject.detail).toBe(MESSAGES.cy.details.token_expired);
+    // The reason phrase and challenge stay in English
+    expect(response.statusDescription).toBe("Unauthorized");
+    expect(response.headers["www-authenticate"][0].value).toContain(
+      'error_description="The access token has expired"',
+    );
+  });
+
+  it("sets the page language for Welsh HTML", () => {
+    const response = errorResponse("rate_limited", {
+      accept: "text/html",
+      acceptLanguage: "cy",
+    });
+
+    expect(response.body).toContain('<html lang="cy"');
+    expect(response.body).toContain("Gormod o geisiadau");
+  });
+
+  it("falls back to English for unsupported languages", () => {
+    const response = errorResponse("rate_limited", { acceptLanguage: "fr" });
+
+    expect(response.headers["content-language"][0].value).toBe("en");
+    expect(JSON.parse(response.body).errors[0].detail).toBe(
+      MESSAGES.en.details.rate_limited,
+    );
+  });
+});
+
+describe("tokenErrorCode", () => {
+  it.each([
+    [new JwtParseError("bad"), "token_malformed"],
+    [new JwtExpiredError("expired", 1, 2), "token_expired"],
+    [new JwtNotBeforeError("early", 1, 2), "token_not_yet_valid"],
+    [new JwtInvalidSignatureError("bad"), "token_signature_invalid"],
+    [new KidNotFoundInJwksError("kid"), "token_signature_invalid"],
+    [new JwtInvalidIssuerError("iss", "a", "b"), "token_issuer_untrusted"],
+    [
+      new CognitoJwtInvalidTokenUseError("use", "id", "access"),
+      "token_use_invalid",
+    ],
+    [
+      new CognitoJwtInvalidClientIdError("client", "abc", ["def"]),
+      "client_not_allowed",
+    ],
+    [new JwtInvalidClaimError("claim", 1, 2), "token_claims_invalid"],
+    [new FetchError("https://example.com", "down"), "auth_unavailable"],
+    [new Error("unexpected"), "token_invalid"],
+  ])("maps %p to %s", (err, code) => {
+    expect(tokenErrorCode(err)).toBe(code);
+  });
+});
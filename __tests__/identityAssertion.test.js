@@ -0,0 +1,93 @@
+const {
+  signIdentityAssertion,
+  verifyIdentityAssertion,
+} = require("../src/identityAssertion");
+
+const secret = "test-secret";
+const claims = {
+  clientId: "test-client",
+  scope: "tariff/read",
+  issuer: "cognito",
+  requestId: "request-1",
+};
+
+function tamper(assertion, changes) {
+  const [header, payload, signature] = assertion.split(".");
+  const decoded = JSON.parse(Buffer.from(payload, "base64url").toString());
+  const tampered = Buffer.from(
+    JSON.stringify({ ...decoded, ...changes }),
+  ).toString("base64url");
+  return `${header}.${tampered}.${signature}`;
+}
+
+describe("identity assertions", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2025, 10, 3, 15, 30, 0)); // Unix: 1762183800
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("round trips the signed claims", () => {
+    const assertion = signIdentityAssertion(claims, secret, 60);
+
+    expect(verifyIdentityAssertion(assertion, secret)).toStrictEqual({
+      iss: "trade-tariff-lambdas-authenticator",
+      sub: "test-client",
+      scope: "tariff/read",
+      idp: "cognito",
+      request_id: "request-1",
+      iat: 1762183800,
+      exp: 1762183860,
+    });
+  });
+
+  it("accepts any of several secrets to allow rotation", () => {
+    const assertion = signIdentityAssertion(claims, secret);
+
+    expect(verifyIdentityAssertion(assertion, ["new-secret", secret]).sub).toBe(
+      "test-client",
+    );
+  });
+
+  it("rejects assertions signed with another secret", () => {
+    const assertion = signIdentityAssertion(claims, "other-secret");
+
+    expect(() => verifyIdentityAssertion(assertion, secret)).toThrow(
+      "Identity assertion signature is invalid",
+    );
+  });
+
+  it("rejects tampered claims", () => {
+    const assertion = tamper(signIdentityAssertion(claims, secret), {
+      scope: "tariff/write",
+    });
+
+    expect(() => verifyIdentityAssertion(assertion, secret)).toThrow(
+      "Identity assertion signature is invalid",
+    );
+  });
+
+  it("rejects expired assertions after the clock tolerance", () => {
+    const assertion = signIdentityAssertion(claims, secret, 60);
+
+    jest.advanceTimersByTime(64000);
+    expect(verifyIdentityAssertion(assertion, secret).sub).toBe("test-client");
+
+    jest.advanceTimersByTime(2000);
+    expect(() => verifyIdentityAssertion(assertion, secret)).toThrow(
+      "Identity assertion has expired",
+    );
+  });
+
+  it("rejects malformed assertions", () => {
+    expect(() => verifyIdentityAssertion("not-a-jwt", secret)).toThrow(
+      "Identity assertion is malformed",
+    );
+    expect(() => verifyIdentityAssertion(undefined, secret)).toThrow(
+      "Identity assertion is malformed",
+    );
+  });
+});
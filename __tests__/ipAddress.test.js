@@ -0,0 +1,136 @@
+const {
+  parseIp,
+  parseCidr,
+  isIpInRanges,
+  anonymousClientKey,
+} = require("../src/ipAddress");
+
+describe("parseIp", () => {
+  it.each([
+    ["192.0.2.1", { version: 4, bytes: [192, 0, 2, 1] }],
+    ["::ffff:192.0.2.1", { version: 4, bytes: [192, 0, 2, 1] }],
+    [
+      "2001:db8::1",
+      {
+        version: 6,
+        bytes: [0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
+      },
+    ],
+    [
+      "1:2:3:4:5:6:1.2.3.4",
+      { version: 6, bytes: [0, 1, 0, 2, 0, 3, 0, 4, 0, 5, 0, 6, 1, 2, 3, 4] },
+    ],
+    ["::", { version: 6, bytes: new Array(16).fill(0) }],
+    [
+      "fe80::1%eth0",
+      {
+        version: 6,
+        bytes: [0xfe, 0x80, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
+      },
+    ],
+  ])("parses %s", (address, expected) => {
+    expect(parseIp(address)).toStrictEqual(expected);
+  });
+
+  it.each([
+    [undefined],
+    [""],
+    ["256.0.0.1"],
+    ["01.2.3.4"],
+    ["1.2.3"],
+    ["1::2::3"],
+    ["1:2:3:4:5:6:7:8:9"],
+    ["1:2:3:4:5:6:7:8::"],
+    ["12345::"],
+    ["::ffff:1.2.3.256"],
+    ["not-an-ip"],
+  ])("rejects %p", (address) => {
+    expect(parseIp(address)).toBeNull();
+  });
+});
+
+describe("anonymousClientKey", () => {
+  it("keys IPv4 clients by address", () => {
+    expect(anonymousClientKey("192.0.2.1")).toBe("ip#192.0.2.1");
+  });
+
+  it("keys IPv4-mapped IPv6 clients by their IPv4 address", () => {
+    expect(anonymousClientKey("::ffff:192.0.2.1")).toBe("ip#192.0.2.1");
+  });
+
+  it("aggregates IPv6 clients on their /64", () => {
+    const first = anonymousClientKey("2001:0DB8:0:1:aaaa:bbbb:cccc:dddd");
+    const second = anonymousClientKey("2001:db8:0:1::42");
+
+    expect(first).toBe("ip#2001:db8:0:1::/64");
+    expect(second).toBe(first);
+    expect(anonymousClientKey("2001:db8:0:2::42")).not.toBe(first);
+  });
+
+  it("returns null for an unparseable address", () => {
+    expect(anonymousClientKey("unknown")).toBeNull();
+  });
+});
+
+describe("parseCidr", () => {
+  it("parses IPv4 and IPv6 ranges", () => {
+    expect(parseCidr("203.0.113.0/24")).toStrictEqual({
+      version: 4,
+      bytes: [203, 0, 113, 0],
+      prefixLength: 24,
+    });
+    expect(parseCidr("2001:db8::/32")).toMatchObject({
+      version: 6,
+      prefixLength: 32,
+    });
+  });
+
+  it("treats a bare address as a single host", () => {
+    expect(parseCidr("192.0.2.1").prefixLength).toBe(32);
+    expect(parseCidr("2001:db8::1").prefixLength).toBe(128);
+  });
+
+  it.each([
+    ["192.0.2.0/33"],
+    ["2001:db8::/129"],
+    ["192.0.2.0/"],
+    ["1/2/3"],
+    ["x/8"],
+    [42],
+  ])("rejects %p", (cidr) => {
+    expect(parseCidr(cidr)).toBeNull();
+  });
+});
+
+describe("isIpInRanges", () => {
+  const ranges = [
+    "203.0.113.0/24",
+    "198.51.100.7",
+    "2001:db8:abcd::/48",
+    "10.0.0.0/9",
+  ].map(parseCidr);
+
+  it.each([
+    ["203.0.113.200", true],
+    ["203.0.114.1", false],
+    ["198.51.100.7", true],
+    ["198.51.100.8", false],
+    ["10.127.255.255", true],
+    ["10.128.0.0", false],
+    ["::ffff:203.0.113.9", true],
+    ["2001:db8:abcd:12::1", true],
+    ["2001:db8:abce::1", false],
+    ["unknown", false],
+  ])("%s in ranges is %s", (address, expected) => {
+    expect(isIpInRanges(address, ranges)).toBe(expected);
+  });
+
+  it("never matches an empty allowlist", () => {
+    expect(isIpInRanges("203.0.113.1", [])).toBe(false);
+  });
+
+  it("matches everything of one family with a /0", () => {
+    expect(isIpInRanges("192.0.2.1", [parseCidr("0.0.0.0/0")])).toBe(true);
+    expect(isIpInRanges("2001:db8::1", [parseCidr("0.0.0.0/0")])).toBe(false);
+  });
+});
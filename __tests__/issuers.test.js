@@ -0,0 +1,344 @@
+const crypto = require("crypto");
+const {
+  buildIssuers,
+  primeIssuers,
+  selectIssuer,
+  normalisePayload,
+} = require("../src/issuers");
+const { warn } = require("../src/logger");
+
+jest.mock("../src/logger");
+
+const partnerIssuer = "https://idp.partner.example";
+
+function encode(part) {
+  return Buffer.from(JSON.stringify(part)).toString("base64url");
+}
+
+function unsignedToken(payload) {
+  return [encode({ alg: "RS256" }), encode(payload), "signature"].join(".");
+}
+
+function signToken(privateKey, payload, kid = "test-key") {
+  const signingInput = `${encode({ alg: "RS256", kid })}.${encode(payload)}`;
+  const signature = crypto
+    .sign("RSA-SHA256", Buffer.from(signingInput), privateKey)
+    .toString("base64url");
+  return `${signingInput}.${signature}`;
+}
+
+describe("buildIssuers", () => {
+  it("derives the issuer URL from a Cognito user pool id", () => {
+    const issuers = buildIssuers([
+      { name: "cognito", userPoolId: "eu-west-2_eYCVlIQL0" },
+    ]);
+
+    const issuer = issuers.get(
+      "https://cognito-idp.eu-west-2.amazonaws.com/eu-west-2_eYCVlIQL0",
+    );
+    expect(issuer.name).toBe("cognito");
+    expect(issuer.clientIdClaim).toBe("client_id");
+  });
+
+  it("rejects generic issuers without a JWKS URI", () => {
+    expect(() =>
+      buildIssuers([{ name: "partner", issuer: partnerIssuer }]),
+    ).toThrow(/needs a userPoolId, or an issuer and jwksUri/);
+  });
+
+  it("rejects issuers configured more than once", () => {
+    expect(() =>
+      buildIssuers([
+        { userPoolId: "eu-west-2_eYCVlIQL0" },
+        { userPoolId: "eu-west-2_eYCVlIQL0" },
+      ]),
+    ).toThrow(/configured more than once/);
+  });
+});
+
+describe("selectIssuer", () => {
+  const issuers = buildIssuers([
+    { name: "cognito", userPoolId: "eu-west-2_eYCVlIQL0" },
+    {
+      name: "partner",
+      issuer: partnerIssuer,
+      jwksUri: `${partnerIssuer}/jwks`,
+    },
+  ]);
+
+  it("picks the issuer from the iss claim", () => {
+    expect(
+      selectIssuer(issuers, unsignedToken({ iss: partnerIssuer })).name,
+    ).toBe("partner");
+  });
+
+  it("throws for an untrusted issuer", () => {
+    expect(() =>
+      selectIssuer(issuers, unsignedToken({ iss: "https://evil.example" })),
+    ).toThrow(/is not trusted/);
+  });
+
+  it("skips decoding when only one issuer is trusted", () => {
+    const single = buildIssuers([
+      { name: "cognito", userPoolId: "eu-west-2_eYCVlIQL0" },
+    ]);
+
+    expect(selectIssuer(single, "not-a-jwt").name).toBe("cognito");
+  });
+});
+
+describe("normalisePayload", () => {
+  it("passes scopes through when there is no mapping", () => {
+    const [issuer] = buildIssuers([
+      { name: "cognito", userPoolId: "eu-west-2_eYCVlIQL0" },
+    ]).values();
+
+    expect(
+      normalisePayload(issuer, { client_id: "abc", scope: "tariff/read" }),
+    ).toStrictEqual({
+      client_id: "abc",
+      scope: "tariff/read",
+      issuer_name: "cognito",
+    });
+  });
+
+  it("maps partner scopes and drops unmapped ones", () => {
+    const [issuer] = buildIssuers([
+      {
+        name: "partner",
+        issuer: partnerIssuer,
+        jwksUri: `${partnerIssuer}/jwks`,
+        clientIdClaim: "azp",
+        scopeMapping: {
+          "partner.read": ["tariff/read", "spimm/read"],
+          "partner.search": "fpo/read",
+        },
+      },
+    ]).values();
+
+    expect(
+      normalisePayload(issuer, {
+        azp: "partner-client",
+        scope: "partner.read partner.search tariff/write",
+      }),
+    ).toStrictEqual({
+      azp: "partner-client",
+      client_id: "partner-client",
+      scope: "tariff/read spimm/read fpo/read",
+      issuer_name: "partner",
+    });
+  });
+});
+
+describe("generic OIDC issuer verification", () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const jwk = {
+    ...publicKey.export({ format: "jwk" }),
+    kid: "test-key",
+    alg: "RS256",
+    use: "sig",
+  };
+
+  function partnerVerifier(tokenUse) {
+    const [issuer] = buildIssuers([
+      {
+        name: "partner",
+        issuer: partnerIssuer,
+        jwksUri: `${partnerIssuer}/jwks`,
+        tokenUse,
+      },
+    ]).values();
+    issuer.verifier.cacheJwks({ keys: [jwk] });
+    return issuer.verifier;
+  }
+
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+
+  it("verifies tokens with the configured token use", async () => {
+    const token = signToken(privateKey, {
+      iss: partnerIssuer,
+      exp,
+      token_use: "access",
+      client_id: "partner-client",
+    });
+
+    await expect(partnerVerifier("access").verify(token)).resolves.toEqual(
+      expect.objectContaining({ client_id: "partner-client" }),
+    );
+  });
+
+  it("rejects tokens with a different token use", async () => {
+    const token = signToken(privateKey, {
+      iss: partnerIssuer,
+      exp,
+      token_use: "id",
+    });
+
+    await expect(partnerVerifier("access").verify(token)).rejects.toThrow(
+      /Token use id is not allowed/,
+    );
+  });
+
+  it("verifies tokens with no token use when the check is turned off", async () => {
+    const token = signToken(privateKey, {
+      iss: partnerIssuer,
+      exp,
+      client_id: "partner-client",
+    });
+
+    await expect(partnerVerifier(null).verify(token)).resolves.toEqual(
+      expect.objectContaining({ client_id: "partner-client" }),
+    );
+  });
+
+  it("expects an access token when no token use is configured", async () => {
+    const token = signToken(privateKey, { iss: partnerIssuer, exp });
+    const [issuer] = buildIssuers([
+      {
+        name: "partner",
+        issuer: partnerIssuer,
+        jwksUri: `${partnerIssuer}/jwks`,
+      },
+    ]).values();
+    issuer.verifier.cacheJwks({ keys: [jwk] });
+
+    await expect(issuer.verifier.verify(token)).rejects.toThrow(
+      /Token use undefined is not allowed/,
+    );
+  });
+});
+
+describe("primeIssuers", () => {
+  const cognitoIssuer =
+    "https://cognito-idp.eu-west-2.amazonaws.com/eu-west-2_eYCVlIQL0";
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+
+  // Local JWKS fixture: the snapshot holds the current key, the rotated key
+  // is only available from the (mocked) live endpoint.
+  function signingKey(kid) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    const jwk = {
+      ...publicKey.export({ format: "jwk" }),
+      kid,
+      alg: "RS256",
+      use: "sig",
+    };
+    return { privateKey, jwk };
+  }
+
+  const current = signingKey("current-key");
+  const rotated = signingKey("rotated-key");
+
+  function buildTrustedIssuers() {
+    return buildIssuers([
+      { name: "cognito", userPoolId: "eu-west-2_eYCVlIQL0" },
+      {
+        name: "partner",
+        issuer: partnerIssuer,
+        jwksUri: `${partnerIssuer}/jwks`,
+      },
+    ]);
+  }
+
+  function stubFetch(issuer, jwks) {
+    return jest
+      .spyOn(issuer.verifier.jwksCache.fetcher, "fetch")
+      .mockResolvedValue(Buffer.from(JSON.stringify(jwks)));
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("verifies Cognito tokens from the snapshot without fetching", async () => {
+    const issuers = buildTrustedIssuers();
+    primeIssuers(issuers, { [cognitoIssuer]: { keys: [current.jwk] } });
+    const issuer = issuers.get(cognitoIssuer);
+    const fetch = stubFetch(issuer, { keys: [] });
+    const token = signToken(
+      current.privateKey,
+      { iss: cognitoIssuer, exp, token_use: "access", client_id: "abc" },
+      "current-key",
+    );
+
+    await expect(issuer.verifier.verify(token)).resolves.toEqual(
+      expect.objectContaining({ client_id: "abc" }),
+    );
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("verifies generic issuer tokens from the snapshot without fetching", async () => {
+    const issuers = buildTrustedIssuers();
+    primeIssuers(issuers, { [partnerIssuer]: { keys: [current.jwk] } });
+    const issuer = issuers.get(partnerIssuer);
+    const fetch = stubFetch(issuer, { keys: [] });
+    const token = signToken(
+      current.privateKey,
+      { iss: partnerIssuer, exp, token_use: "access" },
+      "current-key",
+    );
+
+    await expect(issuer.verifier.verify(token)).resolves.toBeDefined();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("fetches the live JWKS when a token has an unknown kid", async () => {
+    const issuers = buildTrustedIssuers();
+    primeIssuers(issuers, { [partnerIssuer]: { keys: [current.jwk] } });
+    const issuer = issuers.get(partnerIssuer);
+    const fetch = stubFetch(issuer, { keys: [current.jwk, rotated.jwk] });
+    const token = signToken(
+      rotated.privateKey,
+      { iss: partnerIssuer, exp, token_use: "access" },
+      "rotated-key",
+    );
+
+    await expect(issuer.verifier.verify(token)).resolves.toBeDefined();
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith(`${partnerIssuer}/jwks`);
+  });
+
+  it("fetches the live JWKS for issuers missing from the snapshot", async () => {
+    const issuers = buildTrustedIssuers();
+    primeIssuers(issuers, { [cognitoIssuer]: { keys: [current.jwk] } });
+    const issuer = issuers.get(partnerIssuer);
+    const fetch = stubFetch(issuer, { keys: [current.jwk] });
+    const token = signToken(
+      current.privateKey,
+      { iss: partnerIssuer, exp, token_use: "access" },
+      "current-key",
+    );
+
+    await expect(issuer.verifier.verify(token)).resolves.toBeDefined();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("ignores and logs malformed snapshot entries", () => {
+    const issuers = buildTrustedIssuers();
+    const cacheJwks = jest.spyOn(
+      issuers.get(partnerIssuer).verifier,
+      "cacheJwks",
+    );
+
+    primeIssuers(issuers, { [partnerIssuer]: { keys: "not-a-list" } });
+
+    expect(cacheJwks).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledWith("Ignoring malformed JWKS snapshot", {
+      issuer: partnerIssuer,
+    });
+  });
+
+  it("ignores snapshot entries for issuers that are no longer trusted", () => {
+    const issuers = buildTrustedIssuers();
+
+    expect(() =>
+      primeIssuers(issuers, {
+        "https://retired.example": { keys: [current.jwk] },
+      }),
+    ).not.toThrow();
+  });
+});
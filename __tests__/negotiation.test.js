@@ -0,0 +1,39 @@
+const { negotiateFormat, negotiateLanguage } = require("../src/negotiation");
+
+describe("negotiateFormat", () => {
+  it.each([
+    [undefined, "jsonapi"],
+    ["*/*", "jsonapi"],
+    ["application/json", "jsonapi"],
+    ["application/vnd.api+json", "jsonapi"],
+    ["application/problem+json", "problem"],
+    ["application/json;q=0.5, application/problem+json", "problem"],
+    ["text/html,application/xhtml+xml,*/*;q=0.8", "html"],
+    ["text/*", "html"],
+    ["text/html;q=0, */*", "jsonapi"],
+    ["image/png", "jsonapi"],
+    ["application/problem+json;q=0.9, TEXT/HTML", "html"],
+  ])("picks a format for Accept: %s", (accept, format) => {
+    expect(negotiateFormat(accept)).toBe(format);
+  });
+});
+
+describe("negotiateLanguage", () => {
+  const languages = ["en", "cy"];
+
+  it.each([
+    [undefined, "en"],
+    ["cy", "cy"],
+    ["cy-GB", "cy"],
+    ["CY", "cy"],
+    ["en-GB,en;q=0.9,cy;q=0.8", "en"],
+    ["en;q=0.5, cy;q=0.8", "cy"],
+    ["fr-FR, cy;q=0.1", "cy"],
+    ["cy;q=0, en", "en"],
+    ["fr, de", "en"],
+    ["*", "en"],
+    ["cy, en", "cy"],
+  ])("picks a language for Accept-Language: %s", (acceptLanguage, language) => {
+    expect(negotiateLanguage(acceptLanguage, languages, "en")).toBe(language);
+  });
+});
@@ -0,0 +1,76 @@
+const { compilePathPattern, matchPath } = require("../src/pathPattern");
+
+function matches(pattern, path) {
+  return matchPath(compilePathPattern(pattern), path);
+}
+
+describe("compilePathPattern", () => {
+  it("matches literal patterns on segment boundaries only", () => {
+    expect(matches("/uk/api", "/uk/api")).toStrictEqual({});
+    expect(matches("/uk/api", "/uk/api/")).toStrictEqual({});
+    expect(matches("/uk/api", "/uk/apix")).toBeNull();
+    expect(matches("/uk/api", "/uk/api/headings")).toBeNull();
+  });
+
+  it("matches a single segment with *", () => {
+    expect(matches("/*/api", "/xi/api")).toStrictEqual({});
+    expect(matches("/*/api", "/api")).toBeNull();
+    expect(matches("/*/api", "/uk/xi/api")).toBeNull();
+  });
+
+  it("matches part of a segment with * inside a literal", () => {
+    expect(matches("/uk/api/*.json", "/uk/api/sections.json")).toStrictEqual(
+      {},
+    );
+    expect(matches("/uk/api/*.json", "/uk/api/sections.csv")).toBeNull();
+    expect(matches("/uk/api/*.json", "/uk/api/a/b.json")).toBeNull();
+  });
+
+  it("matches zero or more segments with **", () => {
+    expect(matches("/uk/api/**", "/uk/api")).toStrictEqual({});
+    expect(matches("/uk/api/**", "/uk/api/v2/headings/0101")).toStrictEqual({});
+    expect(matches("/uk/api/**", "/uk/apix/headings")).toBeNull();
+    expect(matches("/**/user/**", "/uk/api/user/subscriptions")).toStrictEqual(
+      {},
+    );
+    expect(matches("/**/user/**", "/uk/api/commodities/usery")).toBeNull();
+  });
+
+  it("captures named parameters", () => {
+    expect(
+      matches("/:service/api/green_lanes/**", "/xi/api/green_lanes/themes"),
+    ).toStrictEqual({ service: "xi" });
+    expect(
+      matches("/:service/api/:resource", "/uk/api/sections"),
+    ).toStrictEqual({ service: "uk", resource: "sections" });
+  });
+
+  it("treats regex metacharacters in literals as plain text", () => {
+    expect(matches("/uk/api/a.b", "/uk/api/a.b")).toStrictEqual({});
+    expect(matches("/uk/api/a.b", "/uk/api/axb")).toBeNull();
+  });
+
+  it("matches case-insensitively", () => {
+    expect(
+      matches("/xi/api/green_lanes/**", "/XI/Api/GREEN_LANES"),
+    ).toStrictEqual({});
+  });
+
+  it("ignores a trailing slash on the pattern", () => {
+    expect(matches("/uk/api/", "/uk/api")).toStrictEqual({});
+  });
+
+  it("matches only the root for /", () => {
+    expect(matches("/", "/")).toStrictEqual({});
+    expect(matches("/", "/uk")).toBeNull();
+  });
+
+  it("rejects malformed patterns", () => {
+    expect(() => compilePathPattern("uk/api")).toThrow(/must start with/);
+    expect(() => compilePathPattern("/uk//api")).toThrow(/Empty segment/);
+    expect(() => compilePathPattern("/:1st/api")).toThrow(/Invalid parameter/);
+    expect(() => compilePathPattern("/:id/api/:id")).toThrow(
+      /Duplicate parameter/,
+    );
+  });
+});
@@ -0,0 +1,43 @@
+const {
+  sanitizeNumber,
+  sanitizeCost,
+  fullBucketExpiry,
+} = require("../src/rateLimitInputs");
+
+describe("sanitizeNumber", () => {
+  it("falls back to the default for values that aren't numbers", () => {
+    expect(sanitizeNumber(undefined, 500)).toBe(500);
+    expect(sanitizeNumber("abc", 500)).toBe(500);
+  });
+
+  it("parses numeric strings and clamps them to the bounds", () => {
+    expect(sanitizeNumber("42", 500, 1, 2500)).toBe(42);
+    expect(sanitizeNumber(-5, 500, 1, 2500)).toBe(1);
+    expect(sanitizeNumber(100000, 500, 1, 2500)).toBe(2500);
+  });
+});
+
+describe("sanitizeCost", () => {
+  it("charges a single unit by default", () => {
+    expect(sanitizeCost(undefined, 500)).toBe(1);
+    expect(sanitizeCost("abc", 500)).toBe(1);
+    expect(sanitizeCost(0, 500)).toBe(1);
+  });
+
+  it("rounds fractional costs up", () => {
+    expect(sanitizeCost(2.5, 500)).toBe(3);
+  });
+
+  it("never charges more than the whole limit", () => {
+    expect(sanitizeCost(1000, 60)).toBe(60);
+  });
+});
+
+describe("fullBucketExpiry", () => {
+  it("is when an empty bucket would have refilled, in epoch seconds", () => {
+    const limits = { maxTokens: 60, refillRate: 30, refillInterval: 60 };
+
+    expect(fullBucketExpiry(1763899200000, limits)).toBe(1763899320);
+    expect(fullBucketExpiry(1763899200500, limits)).toBe(1763899321);
+  });
+});
@@ -255,4 +255,120 @@ describe("applyRateLimit", () => {
       collision: false,
     });
   });
+
+  it("uses the caller's limits over those stored on the bucket", async () => {
+    jest.setSystemTime(new Date(2025, 10, 3, 15, 30, 0)); // Unix: 1762183800
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        tokens: { N: "700" },
+        lastRefill: { N: "1762183800000" },
+        refillRate: { N: "750" },
+        refillInterval: { N: "60" },
+        maxTokens: { N: "750" },
+      },
+    });
+    mockSend.mockResolvedValueOnce({ Attributes: { tokens: { N: "59" } } });
+    const result = await applyRateLimit(
+      mockDdbClient,
+      "client-rate-limits",
+      "ip#192.0.2.1",
+      { limits: { maxTokens: 60, refillRate: 30, refillInterval: 60 } },
+    );
+    expect(result).toStrictEqual({
+      allowed: true,
+      rateLimitRemaining: 59,
+      rateLimitLimit: 60,
+      rateLimitReset: 2,
+      collision: false,
+    });
+    const updateParams = mockSend.mock.calls[1][0].input;
+    expect(updateParams.ExpressionAttributeValues[":maxTokens"].N).toBe("60");
+    expect(updateParams.ExpressionAttributeValues[":refillRate"].N).toBe("30");
+  });
+
+  it("consumes the request's cost from the bucket", async () => {
+    jest.setSystemTime(new Date(2025, 10, 3, 15, 30, 0)); // Unix: 1762183800
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        tokens: { N: "700" },
+        lastRefill: { N: "1762183800000" },
+        refillRate: { N: "750" },
+        refillInterval: { N: "60" },
+        maxTokens: { N: "750" },
+      },
+    });
+    mockSend.mockResolvedValueOnce({ Attributes: { tokens: { N: "690" } } });
+    const result = await applyRateLimit(
+      mockDdbClient,
+      "client-rate-limits",
+      "test-client",
+      { cost: 10 },
+    );
+    expect(result).toStrictEqual({
+      allowed: true,
+      rateLimitRemaining: 690,
+      rateLimitLimit: 750,
+      rateLimitReset: 5, // (750 - 690) * 60 / 750 = 4.8
+      collision: false,
+    });
+    const updateParams = mockSend.mock.calls[1][0].input;
+    expect(updateParams.ExpressionAttributeValues[":newTokens"].N).toBe("690");
+  });
+
+  it("denies when fewer tokens remain than the cost", async () => {
+    jest.setSystemTime(new Date(2025, 10, 3, 15, 30, 0)); // Unix: 1762183800
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        tokens: { N: "4" },
+        lastRefill: { N: "1762183800000" },
+        refillRate: { N: "750" },
+        refillInterval: { N: "60" },
+        maxTokens: { N: "750" },
+      },
+    });
+    const result = await applyRateLimit(
+      mockDdbClient,
+      "client-rate-limits",
+      "test-client",
+      { cost: 5 },
+    );
+    expect(result).toStrictEqual({
+      allowed: false,
+      rateLimitRemaining: 4,
+      rateLimitLimit: 750,
+      rateLimitReset: 60, // (750 - 4) * 60 / 750 = 59.68
+      collision: false,
+    });
+    expect(mockSend).toHaveBeenCalledTimes(1); // No update
+  });
+
+  it("caps the cost at a full bucket", async () => {
+    jest.setSystemTime(new Date(2025, 10, 3, 15, 30, 0)); // Unix: 1762183800
+    mockSend.mockResolvedValueOnce({ Item: undefined });
+    mockSend.mockResolvedValueOnce({});
+    const result = await applyRateLimit(
+      mockDdbClient,
+      "client-rate-limits",
+      "ip#192.0.2.1",
+      { limits: { maxTokens: 60 }, cost: 100 },
+    );
+    expect(result.allowed).toBe(true);
+    expect(result.rateLimitRemaining).toBe(0);
+  });
+
+  it("writes an expiresAt TTL when the bucket should expire once full", async () => {
+    jest.setSystemTime(new Date(2025, 10, 3, 15, 30, 0)); // Unix: 1762183800
+    mockSend.mockResolvedValueOnce({ Item: undefined });
+    mockSend.mockResolvedValueOnce({});
+    await applyRateLimit(mockDdbClient, "client-rate-limits", "ip#192.0.2.1", {
+      limits: { maxTokens: 60, refillRate: 30, refillInterval: 60 },
+      expireWhenFull: true,
+    });
+
+    const updateParams = mockSend.mock.calls[1][0].input;
+    expect(updateParams.UpdateExpression).toContain("expiresAt = :expiresAt");
+    expect(updateParams.ExpressionAttributeValues[":expiresAt"]).toStrictEqual({
+      N: (Date.now() / 1000 + 120).toString(),
+    });
+  });
 });
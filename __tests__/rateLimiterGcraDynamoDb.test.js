@@ -0,0 +1,267 @@
+const { applyRateLimit, hintCache } = require("../src/rateLimiterGcraDynamoDb");
+const { UpdateItemCommand } = require("@aws-sdk/client-dynamodb");
+
+jest.mock("../src/logger", () => ({
+  error: jest.fn(),
+}));
+
+// Mock DynamoDB client
+const mockSend = jest.fn();
+const mockDdbClient = { send: mockSend };
+
+function conditionalCheckFailed(item) {
+  return Object.assign(new Error("The conditional request failed"), {
+    name: "ConditionalCheckFailedException",
+    Item: item,
+  });
+}
+
+describe("applyRateLimit", () => {
+  const clientId = "test-client";
+  const tableName = "client-rate-limits";
+  const now = new Date("2025-11-23T12:00:00.000Z").getTime();
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+    hintCache.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("allows a new client with a single conditional update", async () => {
+    // Defaults: 500 tokens, refilled at 300 per 60 seconds, so one token every 200ms
+    mockSend.mockResolvedValueOnce({
+      Attributes: { tat: { N: (now + 200).toString() } },
+    });
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    expect(result).toStrictEqual({
+      allowed: true,
+      rateLimitRemaining: 499,
+      rateLimitLimit: 500,
+      rateLimitReset: 1,
+      collision: false,
+    });
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockSend.mock.calls[0][0]).toBeInstanceOf(UpdateItemCommand);
+    expect(mockSend.mock.calls[0][0].input).toStrictEqual({
+      TableName: tableName,
+      Key: { clientId: { S: clientId } },
+      UpdateExpression: "SET tat = :newTat",
+      ConditionExpression: "attribute_not_exists(tat) OR tat <= :currentTime",
+      ExpressionAttributeValues: {
+        ":newTat": { N: (now + 200).toString() },
+        ":currentTime": { N: now.toString() },
+      },
+      ReturnValues: "ALL_NEW",
+      ReturnValuesOnConditionCheckFailure: "ALL_OLD",
+    });
+  });
+
+  it("advances a busy bucket's tat relative to its stored value", async () => {
+    mockSend
+      .mockResolvedValueOnce({
+        Attributes: { tat: { N: (now + 200).toString() } },
+      })
+      .mockResolvedValueOnce({
+        Attributes: { tat: { N: (now + 400).toString() } },
+      });
+
+    await applyRateLimit(mockDdbClient, tableName, clientId);
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    expect(result).toMatchObject({ allowed: true, rateLimitRemaining: 498 });
+    expect(mockSend.mock.calls[1][0].input).toMatchObject({
+      UpdateExpression: "SET tat = tat + :increment",
+      ConditionExpression: "tat > :currentTime AND tat <= :maxTat",
+      ExpressionAttributeValues: {
+        ":increment": { N: "200" },
+        ":currentTime": { N: now.toString() },
+        ":maxTat": { N: (now + 100000 - 200).toString() },
+      },
+    });
+  });
+
+  it("retries with the other update when its guess was wrong", async () => {
+    // Another instance has already used 100 tokens
+    mockSend
+      .mockRejectedValueOnce(
+        conditionalCheckFailed({ tat: { N: (now + 20000).toString() } }),
+      )
+      .mockResolvedValueOnce({
+        Attributes: { tat: { N: (now + 20200).toString() } },
+      });
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    expect(result).toStrictEqual({
+      allowed: true,
+      rateLimitRemaining: 399,
+      rateLimitLimit: 500,
+      rateLimitReset: 21,
+      collision: false,
+    });
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(mockSend.mock.calls[1][0].input.UpdateExpression).toBe(
+      "SET tat = tat + :increment",
+    );
+  });
+
+  it("denies without a second write when the bucket is empty", async () => {
+    mockSend.mockRejectedValueOnce(
+      conditionalCheckFailed({ tat: { N: (now + 99900).toString() } }),
+    );
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    expect(result).toStrictEqual({
+      allowed: false,
+      rateLimitRemaining: 0,
+      rateLimitLimit: 500,
+      rateLimitReset: 100,
+      collision: false,
+    });
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports a collision when the tat changes between both attempts", async () => {
+    mockSend
+      .mockRejectedValueOnce(
+        conditionalCheckFailed({ tat: { N: (now + 1000).toString() } }),
+      )
+      .mockRejectedValueOnce(
+        conditionalCheckFailed({ tat: { N: (now - 1000).toString() } }),
+      );
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    expect(result).toMatchObject({
+      allowed: false,
+      rateLimitRemaining: 500,
+      collision: true,
+    });
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+
+  it("uses the caller's limits and weights by cost", async () => {
+    // 60 tokens refilled at 30 per 60 seconds: one token every 2 seconds
+    mockSend.mockResolvedValueOnce({
+      Attributes: { tat: { N: (now + 10000).toString() } },
+    });
+
+    const result = await applyRateLimit(
+      mockDdbClient,
+      tableName,
+      "ip#192.0.2.1",
+      {
+        limits: { maxTokens: 60, refillRate: 30, refillInterval: 60 },
+        cost: 5,
+      },
+    );
+
+    expect(result).toStrictEqual({
+      allowed: true,
+      rateLimitRemaining: 55,
+      rateLimitLimit: 60,
+      rateLimitReset: 10,
+      collision: false,
+    });
+    expect(
+      mockSend.mock.calls[0][0].input.ExpressionAttributeValues[":newTat"],
+    ).toStrictEqual({ N: (now + 10000).toString() });
+  });
+
+  it("learns the limits stored on the client's item", async () => {
+    mockSend
+      .mockResolvedValueOnce({
+        Attributes: {
+          tat: { N: (now + 200).toString() },
+          maxTokens: { N: "100" },
+          refillRate: { N: "10" },
+          refillInterval: { N: "1" },
+        },
+      })
+      .mockResolvedValueOnce({
+        Attributes: { tat: { N: (now + 300).toString() } },
+      });
+
+    await applyRateLimit(mockDdbClient, tableName, clientId);
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    expect(result).toMatchObject({ rateLimitLimit: 100 });
+    expect(
+      mockSend.mock.calls[1][0].input.ExpressionAttributeValues[":increment"],
+    ).toStrictEqual({ N: "100" });
+  });
+
+  it("applies the limits passed in as stored from the first request", async () => {
+    mockSend.mockResolvedValueOnce({
+      Attributes: { tat: { N: (now + 100).toString() } },
+    });
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId, {
+      storedLimits: { maxTokens: "100", refillRate: "10", refillInterval: "1" },
+    });
+
+    expect(result).toMatchObject({
+      rateLimitLimit: 100,
+      rateLimitRemaining: 99,
+    });
+    expect(
+      mockSend.mock.calls[0][0].input.ExpressionAttributeValues[":newTat"],
+    ).toStrictEqual({ N: (now + 100).toString() });
+  });
+
+  it("prefers the caller's limits to the stored ones", async () => {
+    mockSend.mockResolvedValueOnce({
+      Attributes: { tat: { N: (now + 1000).toString() } },
+    });
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId, {
+      limits: { maxTokens: 30 },
+      storedLimits: {
+        maxTokens: "100",
+        refillRate: "60",
+        refillInterval: "60",
+      },
+    });
+
+    expect(result).toMatchObject({ rateLimitLimit: 30 });
+    expect(
+      mockSend.mock.calls[0][0].input.ExpressionAttributeValues[":newTat"],
+    ).toStrictEqual({ N: (now + 1000).toString() });
+  });
+
+  it("propagates other DynamoDB errors", async () => {
+    mockSend.mockRejectedValueOnce(new Error("Network error"));
+
+    await expect(
+      applyRateLimit(mockDdbClient, tableName, clientId),
+    ).rejects.toThrow("Network error");
+  });
+
+  it("writes an expiresAt TTL for when the bucket is full again", async () => {
+    // 60 tokens refilled at 30 per 60 seconds fill from empty in 120 seconds
+    mockSend.mockResolvedValueOnce({
+      Attributes: { tat: { N: (now + 2000).toString() } },
+    });
+
+    await applyRateLimit(mockDdbClient, tableName, "ip#192.0.2.1", {
+      limits: { maxTokens: 60, refillRate: 30, refillInterval: 60 },
+      expireWhenFull: true,
+    });
+
+    const updateParams = mockSend.mock.calls[0][0].input;
+    expect(updateParams.UpdateExpression).toBe(
+      "SET tat = :newTat, expiresAt = :expiresAt",
+    );
+    expect(updateParams.ExpressionAttributeValues[":expiresAt"]).toStrictEqual({
+      N: (now / 1000 + 120).toString(),
+    });
+  });
+});
@@ -277,4 +277,86 @@ describe("applyRateLimit", () => {
     });
     expect(mockSend).toHaveBeenCalledTimes(2);
   });
+
+  it("uses the caller's limits over those stored on the bucket", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        tokens: { N: "400" },
+        lastRefill: { N: Date.now().toString() },
+        refillRate: { N: "300" },
+        refillInterval: { N: "60" },
+        maxTokens: { N: "500" },
+      },
+    });
+    mockSend.mockResolvedValueOnce({});
+    const result = await applyRateLimit(
+      mockDdbClient,
+      "client-rate-limits",
+      "ip#192.0.2.1",
+      { limits: { maxTokens: 60, refillRate: 30, refillInterval: 60 } },
+    );
+    expect(result).toStrictEqual({
+      allowed: true,
+      rateLimitRemaining: 59,
+      rateLimitLimit: 60,
+      rateLimitReset: 2,
+      collision: false,
+    });
+    const updateParams = mockSend.mock.calls[1][0].input;
+    expect(updateParams.ExpressionAttributeValues[":maxTokens"].N).toBe("60");
+  });
+
+  it("consumes the request's cost from the bucket", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        tokens: { N: "400" },
+        lastRefill: { N: Date.now().toString() },
+        refillRate: { N: "300" },
+        refillInterval: { N: "60" },
+        maxTokens: { N: "500" },
+      },
+    });
+    mockSend.mockResolvedValueOnce({});
+    const result = await applyRateLimit(
+      mockDdbClient,
+      "client-rate-limits",
+      "test-client",
+      { cost: 10 },
+    );
+    expect(result).toStrictEqual({
+      allowed: true,
+      rateLimitRemaining: 390,
+      rateLimitLimit: 500,
+      rateLimitReset: 22, // (500 - 390) * 60 / 300
+      collision: false,
+    });
+    const updateParams = mockSend.mock.calls[1][0].input;
+    expect(updateParams.ExpressionAttributeValues[":newTokens"].N).toBe("390");
+  });
+
+  it("denies when fewer tokens remain than the cost", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        tokens: { N: "4" },
+        lastRefill: { N: Date.now().toString() },
+        refillRate: { N: "300" },
+        refillInterval: { N: "60" },
+        maxTokens: { N: "500" },
+      },
+    });
+    const result = await applyRateLimit(
+      mockDdbClient,
+      "client-rate-limits",
+      "test-client",
+      { cost: 5 },
+    );
+    expect(result).toStrictEqual({
+      allowed: false,
+      rateLimitRemaining: 4,
+      rateLimitLimit: 500,
+      rateLimitReset: 100, // (500 - 4) * 60 / 300 = 99.2
+      collision: false,
+    });
+    expect(mockSend).toHaveBeenCalledTimes(1); // No update
+  });
 });
@@ -104,6 +104,19 @@ describe("calculateTokenState", () => {
       cappedTokens: 500, // default
     });
   });
+
+  it("should prefer the caller's limits to the stored ones", () => {
+    const state = calculateTokenState(
+      { maxTokens: { N: "500" }, refillRate: { N: "300" } },
+      { maxTokens: 60, refillRate: 30 },
+    );
+    expect(state).toMatchObject({
+      maxTokens: 60,
+      refillRate: 30,
+      refillInterval: 60,
+      cappedTokens: 60,
+    });
+  });
 });
 
 describe("applyRateLimit", () => {
@@ -223,15 +236,12 @@ describe("applyRateLimit", () => {
     expect(mockSend.mock.calls[3][0]).toBeInstanceOf(UpdateItemCommand); // Second applyRateLimit UpdateItem (async and always)
   });
 
-  it("should deny request if initial GetItem fails", async () => {
-    const result = await applyRateLimit(mockDdbClient, tableName, clientId);
+  it("should propagate the error if initial GetItem fails", async () => {
+    mockSend.mockRejectedValueOnce(new Error("Network error"));
 
-    expect(result).toMatchObject({
-      allowed: false,
-      rateLimitRemaining: 0,
-      rateLimitLimit: 500,
-      rateLimitReset: 0,
-    });
+    await expect(
+      applyRateLimit(mockDdbClient, tableName, clientId),
+    ).rejects.toThrow("Network error");
     expect(error).toHaveBeenCalledWith(
       "DynamoDB GetItem error:",
       expect.any(Error),
@@ -306,6 +316,145 @@ describe("applyRateLimit", () => {
     // The total calls should be the initial Get/Update + 9 Updates that are purely in memory
     expect(mockSend).toHaveBeenCalledTimes(2);
   });
+
+  it("uses the caller's limits over those stored on the bucket", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        tokens: { N: "400" },
+        lastRefill: { N: Date.now().toString() },
+        refillRate: { N: "300" },
+        refillInterval: { N: "60" },
+        maxTokens: { N: "500" },
+      },
+    });
+
+    const result = await applyRateLimit(
+      mockDdbClient,
+      tableName,
+      "ip#192.0.2.1",
+      {
+        limits: { maxTokens: 60, refillRate: 30, refillInterval: 60 },
+      },
+    );
+
+    expect(result).toMatchObject({
+      allowed: true,
+      rateLimitRemaining: 59,
+      rateLimitLimit: 60,
+      rateLimitReset: 2,
+    });
+    const updateParams = mockSend.mock.calls[1][0].input;
+    expect(updateParams.ExpressionAttributeValues[":maxTokens"].N).toBe("60");
+    expect(updateParams.ExpressionAttributeValues[":refillRate"].N).toBe("30");
+  });
+
+  it("consumes the request's cost from the bucket", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        tokens: { N: "400" },
+        lastRefill: { N: Date.now().toString() },
+        refillRate: { N: "300" },
+        refillInterval: { N: "60" },
+        maxTokens: { N: "500" },
+      },
+    });
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId, {
+      cost: 10,
+    });
+
+    expect(result).toMatchObject({
+      allowed: true,
+      rateLimitRemaining: 390,
+      rateLimitLimit: 500,
+      rateLimitReset: 22, // (500 - 390) * 60 / 300
+    });
+    expect(memoryCache.get(clientId).tokens).toBe(390);
+  });
+
+  it("writes the bucket charged once for a weighted request", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        tokens: { N: "100" },
+        lastRefill: { N: Date.now().toString() },
+        refillRate: { N: "100" },
+        refillInterval: { N: "60" },
+        maxTokens: { N: "100" },
+      },
+    });
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId, {
+      cost: 10,
+    });
+
+    expect(result.rateLimitRemaining).toBe(90);
+    const updateParams = mockSend.mock.calls[1][0].input;
+    expect(updateParams.ExpressionAttributeValues[":newTokens"].N).toBe("90");
+  });
+
+  it("denies when fewer tokens remain than the cost", async () => {
+    mockSend.mockResolvedValueOnce({
+      Item: {
+        tokens: { N: "4" },
+        lastRefill: { N: Date.now().toString() },
+        refillRate: { N: "300" },
+        refillInterval: { N: "60" },
+        maxTokens: { N: "500" },
+      },
+    });
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId, {
+      cost: 5,
+    });
+
+    expect(result).toMatchObject({
+      allowed: false,
+      rateLimitRemaining: 4,
+      rateLimitReset: 100, // (500 - 4) * 60 / 300 = 99.2
+    });
+    expect(memoryCache.get(clientId).tokens).toBe(4);
+  });
+
+  it("keeps at most 1000 clients in memory, evicting the oldest", async () => {
+    mockSend.mockResolvedValue({});
+
+    for (let i = 0; i <= 1000; i++) {
+      await applyRateLimit(mockDdbClient, tableName, `ip#192.0.2.${i}`);
+    }
+
+    expect(memoryCache.size).toBe(1000);
+    expect(memoryCache.has("ip#192.0.2.0")).toBe(false);
+    expect(memoryCache.has("ip#192.0.2.1000")).toBe(true);
+  });
+
+  it("writes an expiresAt TTL when the bucket should expire once full", async () => {
+    mockSend.mockResolvedValueOnce({ Item: undefined });
+    mockSend.mockResolvedValueOnce({});
+
+    await applyRateLimit(mockDdbClient, tableName, "ip#192.0.2.1", {
+      expireWhenFull: true,
+    });
+
+    // An empty bucket of 500 tokens refills at 300 per 60 seconds in 100 seconds
+    const updateParams = mockSend.mock.calls[1][0].input;
+    expect(updateParams.UpdateExpression).toContain("expiresAt = :expiresAt");
+    expect(updateParams.ExpressionAttributeValues[":expiresAt"]).toStrictEqual({
+      N: (Date.now() / 1000 + 100).toString(),
+    });
+  });
+
+  it("doesn't expire buckets by default", async () => {
+    mockSend.mockResolvedValueOnce({ Item: undefined });
+    mockSend.mockResolvedValueOnce({});
+
+    await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    const updateParams = mockSend.mock.calls[1][0].input;
+    expect(updateParams.UpdateExpression).not.toContain("expiresAt");
+    expect(updateParams.ExpressionAttributeValues).not.toHaveProperty(
+      ":expiresAt",
+    );
+  });
 });
 
 describe("syncToDynamo", () => {
@@ -351,6 +500,32 @@ describe("syncToDynamo", () => {
     ).toBe(initialState.lastRefill.toString());
   });
 
+  it("should subtract the cost when consumed", async () => {
+    const initialState = {
+      tokens: 10,
+      lastRefill: initialTime,
+      refillRate: 10,
+      refillInterval: 60,
+      maxTokens: 500,
+      currentTime: initialTime,
+      cappedTokens: 10,
+    };
+
+    await syncToDynamo(
+      mockDdbClient,
+      tableName,
+      clientId,
+      initialState,
+      true,
+      1,
+      {},
+      5,
+    );
+
+    const updateParams = mockSend.mock.calls[0][0].input;
+    expect(updateParams.ExpressionAttributeValues[":newTokens"].N).toBe("5"); // 10 - 5
+  });
+
   it("should send UpdateItemCommand with correct parameters when refilled but not consumed", async () => {
     jest.setSystemTime(new Date("2025-11-23T12:01:00.000Z")); // 60 seconds later
     const initialState = {
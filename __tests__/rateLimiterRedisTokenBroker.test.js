@@ -0,0 +1,232 @@
+const RedisMock = require("ioredis-mock");
+const {
+  applyRateLimit,
+  createRedisClient,
+} = require("../src/rateLimiterRedisTokenBroker");
+const { error } = require("../src/logger");
+
+jest.mock("../src/logger", () => ({
+  error: jest.fn(),
+}));
+
+// ioredis-mock runs the broker's Lua script in-process, so these tests exercise the real script
+describe("applyRateLimit", () => {
+  const clientId = "test-client";
+  const table = "client-rate-limits";
+  const now = new Date("2025-11-23T12:00:00.000Z").getTime();
+  let redisClient;
+  let currentTime;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    currentTime = now;
+    jest.spyOn(Date, "now").mockImplementation(() => currentTime);
+    redisClient = new RedisMock();
+    await redisClient.flushall();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    redisClient.disconnect();
+  });
+
+  it("starts a new client with a full bucket", async () => {
+    const result = await applyRateLimit(redisClient, table, clientId);
+
+    expect(result).toStrictEqual({
+      allowed: true,
+      rateLimitRemaining: 499,
+      rateLimitLimit: 500,
+      rateLimitReset: 1,
+      collision: false,
+    });
+    const bucket = await redisClient.hgetall(`${table}:${clientId}`);
+    expect(Number(bucket.tokens)).toBe(499);
+    expect(Number(bucket.lastRefill)).toBe(now);
+  });
+
+  it("expires the bucket once it would have refilled", async () => {
+    await applyRateLimit(redisClient, table, clientId);
+
+    // 500 tokens at 300 per 60 seconds refill in 100 seconds
+    expect(await redisClient.pttl(`${table}:${clientId}`)).toBe(100000);
+  });
+
+  it("denies requests once the bucket is empty", async () => {
+    const limits = { maxTokens: 2, refillRate: 1, refillInterval: 60 };
+
+    await applyRateLimit(redisClient, table, clientId, { limits });
+    await applyRateLimit(redisClient, table, clientId, { limits });
+    const result = await applyRateLimit(redisClient, table, clientId, {
+      limits,
+    });
+
+    expect(result).toStrictEqual({
+      allowed: false,
+      rateLimitRemaining: 0,
+      rateLimitLimit: 2,
+      rateLimitReset: 120,
+      collision: false,
+    });
+  });
+
+  it("refills tokens as time passes", async () => {
+    const limits = { maxTokens: 10, refillRate: 1, refillInterval: 1 };
+
+    for (let i = 0; i < 10; i++) {
+      await applyRateLimit(redisClient, table, clientId, { limits });
+    }
+    currentTime += 3500;
+    const result = await applyRateLimit(redisClient, table, clientId, {
+      limits,
+    });
+
+    expect(result).toMatchObject({ allowed: true, rateLimitRemaining: 2 });
+  });
+
+  it("weights requests by cost", async () => {
+    const limits = { maxTokens: 60, refillRate: 30, refillInterval: 60 };
+
+    const result = await applyRateLimit(redisClient, table, "ip#192.0.2.1", {
+      limits,
+      cost: 5,
+    });
+
+    expect(result).toStrictEqual({
+      allowed: true,
+      rateLimitRemaining: 55,
+      rateLimitLimit: 60,
+      rateLimitReset: 10,
+      collision: false,
+    });
+  });
+
+  it("denies a request that costs more than is left without consuming tokens", async () => {
+    const limits = { maxTokens: 10, refillRate: 1, refillInterval: 60 };
+
+    await applyRateLimit(redisClient, table, clientId, { limits, cost: 8 });
+    const denied = await applyRateLimit(redisClient, table, clientId, {
+      limits,
+      cost: 5,
+    });
+    const allowed = await applyRateLimit(redisClient, table, clientId, {
+      limits,
+    });
+
+    expect(denied).toMatchObject({ allowed: false, rateLimitRemaining: 2 });
+    expect(allowed).toMatchObject({ allowed: true, rateLimitRemaining: 1 });
+  });
+
+  it("clamps limits to the hard maximums", async () => {
+    const result = await applyRateLimit(redisClient, table, clientId, {
+      limits: { maxTokens: 100000, refillRate: 100000, refillInterval: 1 },
+    });
+
+    expect(result.rateLimitLimit).toBe(2500);
+  });
+
+  it("applies the limits stored on the client's item", async () => {
+    const storedLimits = {
+      maxTokens: "100",
+      refillRate: "10",
+      refillInterval: "1",
+    };
+
+    const stored = await applyRateLimit(redisClient, table, clientId, {
+      storedLimits,
+    });
+    const overridden = await applyRateLimit(redisClient, table, "other", {
+      limits: { maxTokens: 50 },
+      storedLimits,
+    });
+
+    expect(stored).toMatchObject({
+      rateLimitLimit: 100,
+      rateLimitRemaining: 99,
+    });
+    expect(overridden).toMatchObject({ rateLimitLimit: 50 });
+  });
+
+  it("waits for a cold client's first connection before running the script", async () => {
+    const fallback = jest.fn();
+    redisClient.status = "connecting";
+    setTimeout(() => {
+      redisClient.status = "ready";
+      redisClient.emit("ready");
+    }, 20);
+
+    const result = await applyRateLimit(redisClient, table, clientId, {
+      fallback,
+    });
+
+    expect(result).toMatchObject({ allowed: true, rateLimitRemaining: 499 });
+    expect(fallback).not.toHaveBeenCalled();
+  });
+
+  it("uses the fallback limiter when the first connection takes too long", async () => {
+    const fallback = jest.fn().mockResolvedValue({ allowed: true });
+    const coldClient = new RedisMock({ lazyConnect: true });
+    coldClient.status = "wait";
+
+    const result = await applyRateLimit(coldClient, table, clientId, {
+      fallback,
+    });
+
+    expect(result).toStrictEqual({ allowed: true });
+    expect(error).toHaveBeenCalledWith(
+      "Redis token broker unavailable, using the fallback limiter:",
+      new Error("Timed out connecting to the Redis token broker"),
+    );
+  });
+
+  it("uses the fallback limiter when Redis is unavailable", async () => {
+    const fallbackResult = {
+      allowed: true,
+      rateLimitRemaining: 42,
+      rateLimitLimit: 500,
+      rateLimitReset: 10,
+      collision: false,
+    };
+    const fallback = jest.fn().mockResolvedValue(fallbackResult);
+    const offlineClient = createRedisClient("redis://127.0.0.1:1");
+
+    try {
+      const result = await applyRateLimit(offlineClient, table, clientId, {
+        fallback,
+      });
+
+      expect(result).toBe(fallbackResult);
+      expect(fallback).toHaveBeenCalledTimes(1);
+      expect(error).toHaveBeenCalledWith(
+        "Redis token broker unavailable, using the fallback limiter:",
+        expect.any(Error),
+      );
+    } finally {
+      offlineClient.disconnect();
+    }
+  });
+
+  it("uses the fallback limiter when no client is configured", async () => {
+    const fallback = jest.fn().mockResolvedValue({ allowed: false });
+
+    const result = await applyRateLimit(undefined, table, clientId, {
+      fallback,
+    });
+
+    expect(result).toStrictEqual({ allowed: false });
+  });
+
+  it("propagates Redis errors without a fallback", async () => {
+    const failingClient = {
+      consumeTokens: jest.fn().mockRejectedValue(new Error("READONLY")),
+    };
+
+    await expect(
+      applyRateLimit(failingClient, table, clientId),
+    ).rejects.toThrow("READONLY");
+    expect(error).toHaveBeenCalledWith(
+      "Redis token broker error:",
+      expect.any(Error),
+    );
+  });
+});
@@ -0,0 +1,232 @@
+const {
+  applyRateLimit,
+  previousWindowCache,
+} = require("../src/rateLimiterSlidingWindowDynamoDb");
+const {
+  GetItemCommand,
+  UpdateItemCommand,
+} = require("@aws-sdk/client-dynamodb");
+
+jest.mock("../src/logger", () => ({
+  error: jest.fn(),
+}));
+
+// Mock DynamoDB client
+const mockSend = jest.fn();
+const mockDdbClient = { send: mockSend };
+
+function conditionalCheckFailed(item) {
+  return Object.assign(new Error("The conditional request failed"), {
+    name: "ConditionalCheckFailedException",
+    Item: item,
+  });
+}
+
+describe("applyRateLimit", () => {
+  const clientId = "test-client";
+  const tableName = "client-rate-limits";
+  // 15 seconds into a 60 second window, so 75% of the previous window still counts
+  const windowStart = new Date("2025-11-23T12:00:00.000Z").getTime();
+  const previousWindowStart = windowStart - 60000;
+  const now = windowStart + 15000;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+    previousWindowCache.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("adds the request to the current window's counter", async () => {
+    mockSend
+      .mockResolvedValueOnce({ Item: undefined })
+      .mockResolvedValueOnce({ Attributes: { requestCount: { N: "1" } } });
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    expect(result).toStrictEqual({
+      allowed: true,
+      rateLimitRemaining: 299,
+      rateLimitLimit: 300,
+      rateLimitReset: 105,
+      collision: false,
+    });
+    expect(mockSend.mock.calls[0][0]).toBeInstanceOf(GetItemCommand);
+    expect(mockSend.mock.calls[0][0].input).toStrictEqual({
+      TableName: tableName,
+      Key: { clientId: { S: `${clientId}#window#${previousWindowStart}` } },
+      ProjectionExpression: "requestCount",
+    });
+    expect(mockSend.mock.calls[1][0]).toBeInstanceOf(UpdateItemCommand);
+    expect(mockSend.mock.calls[1][0].input).toStrictEqual({
+      TableName: tableName,
+      Key: { clientId: { S: `${clientId}#window#${windowStart}` } },
+      UpdateExpression: "ADD requestCount :cost SET expiresAt = :expiresAt",
+      ConditionExpression:
+        "attribute_not_exists(requestCount) OR requestCount <= :maxCurrentCount",
+      ExpressionAttributeValues: {
+        ":cost": { N: "1" },
+        ":maxCurrentCount": { N: "299" },
+        ":expiresAt": { N: ((windowStart + 120000) / 1000).toString() },
+      },
+      ReturnValues: "UPDATED_NEW",
+      ReturnValuesOnConditionCheckFailure: "ALL_OLD",
+    });
+  });
+
+  it("weights the previous window by how much of it still overlaps", async () => {
+    mockSend
+      .mockResolvedValueOnce({ Item: { requestCount: { N: "200" } } })
+      .mockResolvedValueOnce({ Attributes: { requestCount: { N: "51" } } });
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    // 200 * 0.75 + 51 = 201 of 300
+    expect(result).toMatchObject({ allowed: true, rateLimitRemaining: 99 });
+    expect(
+      mockSend.mock.calls[1][0].input.ExpressionAttributeValues[
+        ":maxCurrentCount"
+      ],
+    ).toStrictEqual({ N: "149" });
+  });
+
+  it("reads the previous window once and caches it", async () => {
+    mockSend
+      .mockResolvedValueOnce({ Item: { requestCount: { N: "10" } } })
+      .mockResolvedValue({ Attributes: { requestCount: { N: "1" } } });
+
+    await applyRateLimit(mockDdbClient, tableName, clientId);
+    await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    expect(mockSend).toHaveBeenCalledTimes(3);
+    expect(mockSend.mock.calls[2][0]).toBeInstanceOf(UpdateItemCommand);
+  });
+
+  it("reads the new previous window after the window moves on", async () => {
+    mockSend
+      .mockResolvedValueOnce({ Item: undefined })
+      .mockResolvedValueOnce({ Attributes: { requestCount: { N: "1" } } })
+      .mockResolvedValueOnce({ Item: { requestCount: { N: "1" } } })
+      .mockResolvedValueOnce({ Attributes: { requestCount: { N: "1" } } });
+
+    await applyRateLimit(mockDdbClient, tableName, clientId);
+    jest.setSystemTime(now + 60000);
+    await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    expect(mockSend.mock.calls[2][0].input.Key).toStrictEqual({
+      clientId: { S: `${clientId}#window#${windowStart}` },
+    });
+  });
+
+  it("denies a request that fails the condition without retrying", async () => {
+    mockSend
+      .mockResolvedValueOnce({ Item: { requestCount: { N: "200" } } })
+      .mockRejectedValueOnce(
+        conditionalCheckFailed({ requestCount: { N: "150" } }),
+      );
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    expect(result).toStrictEqual({
+      allowed: false,
+      rateLimitRemaining: 0,
+      rateLimitLimit: 300,
+      rateLimitReset: 105,
+      collision: false,
+    });
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+
+  it("denies an empty current window when the previous one fills the allowance", async () => {
+    mockSend
+      .mockResolvedValueOnce({ Item: { requestCount: { N: "400" } } })
+      .mockRejectedValueOnce(conditionalCheckFailed(undefined));
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId);
+
+    expect(mockSend.mock.calls[1][0].input.ConditionExpression).toBe(
+      "requestCount <= :maxCurrentCount",
+    );
+    expect(result).toStrictEqual({
+      allowed: false,
+      rateLimitRemaining: 0,
+      rateLimitLimit: 300,
+      rateLimitReset: 45,
+      collision: false,
+    });
+  });
+
+  it("uses the caller's limits and weights by cost", async () => {
+    mockSend
+      .mockResolvedValueOnce({ Item: undefined })
+      .mockResolvedValueOnce({ Attributes: { requestCount: { N: "5" } } });
+
+    const result = await applyRateLimit(
+      mockDdbClient,
+      tableName,
+      "ip#192.0.2.1",
+      {
+        limits: { maxTokens: 60, refillRate: 30, refillInterval: 60 },
+        cost: 5,
+      },
+    );
+
+    expect(result).toStrictEqual({
+      allowed: true,
+      rateLimitRemaining: 25,
+      rateLimitLimit: 30,
+      rateLimitReset: 105,
+      collision: false,
+    });
+    expect(
+      mockSend.mock.calls[1][0].input.ExpressionAttributeValues,
+    ).toMatchObject({
+      ":cost": { N: "5" },
+      ":maxCurrentCount": { N: "25" },
+    });
+  });
+
+  it("applies the limits stored on the client's item from the first request", async () => {
+    mockSend
+      .mockResolvedValueOnce({ Item: undefined })
+      .mockResolvedValueOnce({ Attributes: { requestCount: { N: "1" } } });
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId, {
+      storedLimits: { refillRate: "100", refillInterval: "60" },
+    });
+
+    expect(result).toMatchObject({
+      rateLimitLimit: 100,
+      rateLimitRemaining: 99,
+    });
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(mockSend.mock.calls[0][0]).toBeInstanceOf(GetItemCommand);
+  });
+
+  it("prefers the caller's limits to the stored ones", async () => {
+    mockSend
+      .mockResolvedValueOnce({ Item: undefined })
+      .mockResolvedValueOnce({ Attributes: { requestCount: { N: "1" } } });
+
+    const result = await applyRateLimit(mockDdbClient, tableName, clientId, {
+      limits: { refillRate: 30 },
+      storedLimits: { refillRate: "100", refillInterval: "60" },
+    });
+
+    expect(result).toMatchObject({ rateLimitLimit: 30 });
+  });
+
+  it("propagates other DynamoDB errors", async () => {
+    mockSend
+      .mockResolvedValueOnce({ Item: undefined })
+      .mockRejectedValueOnce(new Error("Network error"));
+
+    await expect(
+      applyRateLimit(mockDdbClient, tableName, clientId),
+    ).rejects.toThrow("Network error");
+  });
+});
@@ -8,8 +8,36 @@ jest.mock("../src/rateLimiterHybridMemoryDynamoV2", () => ({
 jest.mock("../src/rateLimiterAtomicDynamoDb", () => ({
   applyRateLimit: jest.fn(),
 }));
+jest.mock("../src/rateLimiterGcraDynamoDb", () => ({
+  applyRateLimit: jest.fn(),
+}));
+jest.mock("../src/rateLimiterSlidingWindowDynamoDb", () => ({
+  applyRateLimit: jest.fn(),
+}));
+jest.mock("../src/rateLimiterRedisTokenBroker", () => ({
+  applyRateLimit: jest.fn(),
+  createRedisClient: jest.fn(() => mockRedisClient),
+}));
+
+jest.mock("../src/apiKeys", () => ({
+  verifyApiKeyCached: jest.fn(),
+  apiKeyLookupRequired: jest.fn(),
+}));
+
+jest.mock("../src/tokenRevocation", () => ({
+  isTokenRevoked: jest.fn(),
+}));
+
+jest.mock("../src/clientStatus", () => ({
+  getClientStatus: jest.fn(),
+}));
+jest.mock("../src/entitlements", () => ({
+  ...jest.requireActual("../src/entitlements"),
+  getClientEntitlements: jest.fn(),
+}));
 
 const mockVerify = jest.fn();
+const mockRedisClient = { name: "redis-client" };
 
 // Mock external libs
 jest.mock("aws-jwt-verify", () => ({
@@ -17,11 +45,21 @@ jest.mock("aws-jwt-verify", () => ({
     create: jest.fn(() => ({
       verify: mockVerify,
     })),
+    parseUserPoolId: jest.fn((userPoolId) => ({
+      issuer: `https://cognito-idp.eu-west-2.amazonaws.com/${userPoolId}`,
+    })),
+  },
+  JwtVerifier: {
+    create: jest.fn(() => ({
+      verify: mockVerify,
+    })),
   },
 }));
 
+const mockDdbSend = jest.fn();
 jest.mock("@aws-sdk/client-dynamodb", () => ({
-  DynamoDBClient: jest.fn().mockImplementation(() => ({})),
+  ...jest.requireActual("@aws-sdk/client-dynamodb"),
+  DynamoDBClient: jest.fn().mockImplementation(() => ({ send: mockDdbSend })),
 }));
 
 jest.mock("@smithy/node-http-handler", () => ({
@@ -35,12 +73,21 @@ jest.mock("../src/logger", () => ({
   error: jest.fn(),
 }));
 
+// Anonymous rate limits ship disabled until the table has a TTL, but these scenarios expect them on
+const mockConfiguration = {
+  ...jest.requireActual("../src/config.json"),
+  ANONYMOUS_RATE_LIMIT: {
+    ...jest.requireActual("../src/config.json").ANONYMOUS_RATE_LIMIT,
+    enabled: true,
+  },
+};
+jest.mock("../src/config.json", () => mockConfiguration);
+
 let { handler } = require("../src/requestHandler");
 
 function loadHandlerWithConfig(overrides = {}) {
-  let defaultConfiguration = require("../src/config.json");
   jest.doMock("../src/config.json", () => ({
-    ...defaultConfiguration,
+    ...mockConfiguration,
     ...overrides,
   }));
   jest.resetModules();
@@ -57,6 +104,14 @@ function loadHandlerWithConfig(overrides = {}) {
 let reducedAtomicityHybridLimitV1;
 let reducedAtomicityHybridLimitV2;
 let fullyAtomicRateLimit;
+let gcraRateLimit;
+let slidingWindowRateLimit;
+let redisTokenBrokerLimit;
+let verifyApiKeyCached;
+let apiKeyLookupRequired;
+let isTokenRevoked;
+let getClientStatus;
+let getClientEntitlements;
 let error;
 
 const mockJwtPayload = {
@@ -74,34 +129,94 @@ function setupMocks(overrides = {}) {
 
   reducedAtomicityHybridLimitV1 =
     require("../src/rateLimiterHybridMemoryDynamo").applyRateLimit;
+  reducedAtomicityHybridLimitV1.mockClear();
   reducedAtomicityHybridLimitV1.mockResolvedValue(
     generateRateLimitResult(...(overrides.rateLimitV1 || [])),
   );
 
   reducedAtomicityHybridLimitV2 =
     require("../src/rateLimiterHybridMemoryDynamoV2").applyRateLimit;
+  reducedAtomicityHybridLimitV2.mockClear();
   reducedAtomicityHybridLimitV2.mockResolvedValue(
     generateRateLimitResult(...(overrides.rateLimitV2 || [])),
   );
 
   fullyAtomicRateLimit =
     require("../src/rateLimiterAtomicDynamoDb").applyRateLimit;
+  fullyAtomicRateLimit.mockClear();
   fullyAtomicRateLimit.mockResolvedValue(
     generateRateLimitResult(...(overrides.fullyAtomic || [])),
   );
 
+  gcraRateLimit = require("../src/rateLimiterGcraDynamoDb").applyRateLimit;
+  gcraRateLimit.mockClear();
+  gcraRateLimit.mockResolvedValue(
+    generateRateLimitResult(...(overrides.gcra || [])),
+  );
+
+  slidingWindowRateLimit =
+    require("../src/rateLimiterSlidingWindowDynamoDb").applyRateLimit;
+  slidingWindowRateLimit.mockClear();
+  slidingWindowRateLimit.mockResolvedValue(
+    generateRateLimitResult(...(overrides.slidingWindow || [])),
+  );
+
+  redisTokenBrokerLimit =
+    require("../src/rateLimiterRedisTokenBroker").applyRateLimit;
+  redisTokenBrokerLimit.mockClear();
+  redisTokenBrokerLimit.mockResolvedValue(
+    generateRateLimitResult(...(overrides.redisTokenBroker || [])),
+  );
+
+  verifyApiKeyCached = require("../src/apiKeys").verifyApiKeyCached;
+  verifyApiKeyCached.mockReset();
+  verifyApiKeyCached.mockResolvedValue(
+    overrides.apiKeyPayload === undefined
+      ? mockJwtPayload
+      : overrides.apiKeyPayload,
+  );
+
+  apiKeyLookupRequired = require("../src/apiKeys").apiKeyLookupRequired;
+  apiKeyLookupRequired.mockReset();
+  apiKeyLookupRequired.mockReturnValue(overrides.apiKeyLookupRequired ?? false);
+
+  isTokenRevoked = require("../src/tokenRevocation").isTokenRevoked;
+  isTokenRevoked.mockReset();
+  isTokenRevoked.mockResolvedValue(overrides.tokenRevoked ?? false);
+
+  getClientStatus = require("../src/clientStatus").getClientStatus;
+  getClientStatus.mockReset();
+  getClientStatus.mockResolvedValue(
+    overrides.clientStatus || {
+      status: "active",
+      reason: null,
+      expiresAt: null,
+    },
+  );
+
+  getClientEntitlements = require("../src/entitlements").getClientEntitlements;
+  getClientEntitlements.mockReset();
+  getClientEntitlements.mockResolvedValue(overrides.entitlements ?? null);
+
   error = require("../src/logger").error;
   error.mockImplementation(() => {});
 }
 
 // Test helpers
-function createEvent({ uri = "/uk/api/v2/headings/0104", headers = {} } = {}) {
+function createEvent({
+  uri = "/uk/api/v2/headings/0104",
+  method = "GET",
+  headers = {},
+  clientIp = "192.0.2.1",
+} = {}) {
   return {
     Records: [
       {
         cf: {
           request: {
+            clientIp,
             uri,
+            method,
             headers: Object.fromEntries(
               Object.entries(headers).map(([key, value]) => [
                 key.toLowerCase(),
@@ -155,7 +270,115 @@ describe("requestHandler", () => {
         }),
       }),
     );
-    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["/uk/admin/news_items"],
+    ["/uk/api/../admin/users"],
+    ["/XI/Admin"],
+  ])(
+    "returns 401 for anonymous requests to the protected path %s",
+    async (uri) => {
+      const event = createEvent({ uri, headers: {} });
+      await handler(event, createContext(), mockCallback);
+
+      const response = mockCallback.mock.calls[0][1];
+      expect(response.status).toBe("401");
+      expect(JSON.parse(response.body).errors[0].code).toBe(
+        "authentication_required",
+      );
+      expect(response.headers["www-authenticate"]).toStrictEqual([
+        { key: "WWW-Authenticate", value: 'Bearer realm="trade-tariff"' },
+      ]);
+      expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+    },
+  );
+
+  it("authenticates credentialed requests to protected paths as usual", async () => {
+    setupMocks({
+      jwtPayload: { scope: "tariff/write", client_id: "test-client" },
+    });
+
+    const event = createEvent({
+      uri: "/uk/admin/news_items",
+      headers: { Authorization: "Bearer token" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ uri: "/uk/admin/news_items" }),
+    );
+  });
+
+  it("rate limits anonymous requests by client IP", async () => {
+    const event = createEvent({ headers: {} });
+    await handler(event, createContext(), mockCallback);
+
+    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalledWith(
+      expect.anything(),
+      "client-rate-limits",
+      "ip#192.0.2.1",
+      {
+        limits: { maxTokens: 60, refillInterval: 60, refillRate: 30 },
+        cost: 1,
+        expireWhenFull: true,
+      },
+    );
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({
+        headers: expect.objectContaining({
+          "x-ratelimit-limit": [{ key: "X-RateLimit-Limit", value: "500" }],
+        }),
+      }),
+    );
+  });
+
+  it("ships with anonymous rate limits disabled", () => {
+    const shipped = jest.requireActual("../src/config.json");
+
+    expect(shipped.ANONYMOUS_RATE_LIMIT.enabled).toBe(false);
+  });
+
+  it("shares one anonymous bucket across an IPv6 /64", async () => {
+    const event = createEvent({
+      headers: {},
+      clientIp: "2001:db8:0:1:aaaa:bbbb:cccc:dddd",
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalledWith(
+      expect.anything(),
+      "client-rate-limits",
+      "ip#2001:db8:0:1::/64",
+      expect.anything(),
+    );
+  });
+
+  it("returns 429 when an anonymous client exceeds its limit", async () => {
+    reducedAtomicityHybridLimitV2.mockResolvedValue(
+      generateRateLimitResult(false),
+    );
+
+    const event = createEvent({ headers: {} });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("429");
+    expect(JSON.parse(response.body).errors[0].code).toBe("rate_limited");
+    expect(response.headers["x-ratelimit-remaining"]).toStrictEqual([
+      { key: "X-RateLimit-Remaining", value: "0" },
+    ]);
+  });
+
+  it("returns 503 when the anonymous rate limit check fails", async () => {
+    reducedAtomicityHybridLimitV2.mockRejectedValue(new Error("Throttled"));
+
+    const event = createEvent({ headers: {} });
+    await handler(event, createContext(), mockCallback);
+
+    expect(mockCallback.mock.calls[0][1].status).toBe("503");
   });
 
   // Scenario 2: Invalid auth (not Bearer)
@@ -171,6 +394,52 @@ describe("requestHandler", () => {
     );
   });
 
+  it("challenges for a bearer token when another scheme is used", async () => {
+    const event = createEvent({ headers: { Authorization: "Basic foo" } });
+    await handler(event, createContext(), mockCallback);
+    expect(mockCallback.mock.calls[0][1].headers).toStrictEqual(
+      expect.objectContaining({
+        "www-authenticate": [
+          { key: "WWW-Authenticate", value: 'Bearer realm="trade-tariff"' },
+        ],
+      }),
+    );
+  });
+
+  it("accepts the Bearer scheme case-insensitively", async () => {
+    const event = createEvent({ headers: { Authorization: "bearer  token" } });
+    await handler(event, createContext(), mockCallback);
+    expect(mockVerify).toHaveBeenCalledWith("token");
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ uri: "/uk/api/v2/headings/0104" }),
+    );
+  });
+
+  it.each([["Bearer"], ["Bearer a b"], ["Bearer tok@en"]])(
+    "returns 401 invalid_token for the malformed header %s",
+    async (authorization) => {
+      const event = createEvent({ headers: { Authorization: authorization } });
+      await handler(event, createContext(), mockCallback);
+      expect(mockCallback).toHaveBeenCalledWith(
+        null,
+        expect.objectContaining({
+          status: "401",
+          headers: expect.objectContaining({
+            "www-authenticate": [
+              {
+                key: "WWW-Authenticate",
+                value:
+                  'Bearer realm="trade-tariff", error="invalid_token", error_description="The access token is malformed"',
+              },
+            ],
+          }),
+        }),
+      );
+      expect(mockVerify).not.toHaveBeenCalled();
+    },
+  );
+
   // Scenario 3: JWT verify fails
   it("returns 401 when JWT verify fails", async () => {
     mockVerify.mockRejectedValue(new Error("Verification failed"));
@@ -187,6 +456,11 @@ describe("requestHandler", () => {
       "Token verification failed:",
       expect.any(Error),
     );
+    expect(
+      mockCallback.mock.calls[0][1].headers["www-authenticate"][0].value,
+    ).toBe(
+      'Bearer realm="trade-tariff", error="invalid_token", error_description="The access token is invalid or has expired"',
+    );
   });
 
   // Scenario 4: Unauthorized scopes
@@ -209,116 +483,1518 @@ describe("requestHandler", () => {
     );
   });
 
-  // Scenario 5: Valid, authorized, rate limit allowed
-  it("forwards request with rate limit headers when allowed", async () => {
-    const event = createEvent({ headers: { Authorization: "Bearer token" } });
-    await handler(event, createContext(), mockCallback);
-
-    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalledWith(
-      expect.anything(),
-      "client-rate-limits",
-      "test-client",
-    );
+  it("lists the scopes that would satisfy the request on insufficient_scope", async () => {
+    setupMocks({
+      jwtPayload: { scope: "tariff/read", client_id: "test-client" },
+    });
 
+    const event = createEvent({
+      uri: "/xi/api/green_lanes/themes",
+      headers: { Authorization: "Bearer token" },
+    });
+    await handler(event, createContext(), mockCallback);
     expect(mockCallback).toHaveBeenCalledWith(
       null,
       expect.objectContaining({
+        status: "403",
         headers: expect.objectContaining({
-          "x-ratelimit-limit": [{ key: "X-RateLimit-Limit", value: "500" }],
-          "x-ratelimit-remaining": [
-            { key: "X-RateLimit-Remaining", value: "499" },
+          "www-authenticate": [
+            {
+              key: "WWW-Authenticate",
+              value:
+                'Bearer realm="trade-tariff", error="insufficient_scope", error_description="The access token does not grant access to this resource", scope="spimm/read"',
+            },
           ],
-          "x-client-id": [{ key: "X-Client-Id", value: "test-client" }],
         }),
       }),
     );
-    expect(mockVerify).toHaveBeenCalledWith("token");
   });
 
-  // Scenario 6: Rate limit denied
-  it("returns 429 when rate limit denied", async () => {
-    reducedAtomicityHybridLimitV2.mockResolvedValue(
-      generateRateLimitResult(false),
-    );
-    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+  it("returns 403 when the scope does not permit the HTTP method", async () => {
+    const event = createEvent({
+      uri: "/uk/api/v2/headings/0104",
+      method: "POST",
+      headers: { Authorization: "Bearer token" },
+    });
     await handler(event, createContext(), mockCallback);
     expect(mockCallback).toHaveBeenCalledWith(
       null,
       expect.objectContaining({
-        status: "429",
-        statusDescription: "Too Many Requests",
+        status: "403",
+        statusDescription: "Forbidden",
       }),
     );
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
   });
 
-  // Scenario 7: Collision flagged
-  it("includes collision header when flagged", async () => {
-    reducedAtomicityHybridLimitV2.mockResolvedValue(
-      generateRateLimitResult(true, true),
+  it("forwards mutating requests when the scope permits the HTTP method", async () => {
+    setupMocks({
+      jwtPayload: { scope: "tariff/write", client_id: "test-client" },
+    });
+
+    const event = createEvent({
+      uri: "/uk/api/v2/headings/0104",
+      method: "DELETE",
+      headers: { Authorization: "Bearer token" },
+    });
+    await handler(event, createContext(), mockCallback);
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ uri: "/uk/api/v2/headings/0104" }),
     );
-    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+  });
+
+  it("does not treat a path prefix without a segment boundary as allowed", async () => {
+    const event = createEvent({
+      uri: "/uk/apix/v2/headings/0104",
+      headers: { Authorization: "Bearer token" },
+    });
     await handler(event, createContext(), mockCallback);
     expect(mockCallback).toHaveBeenCalledWith(
       null,
-      expect.objectContaining({
-        headers: expect.objectContaining({
-          "x-ratelimit-collision": [
-            { key: "X-RateLimit-Collision", value: "true" },
-          ],
-        }),
-      }),
+      expect.objectContaining({ status: "403" }),
     );
   });
 
-  // Scenario 8: Configurable limiter
-  it("uses configurable limiter via header when enabled", async () => {
-    loadHandlerWithConfig({ RATE_LIMITER_CONFIGURABLE_VIA_HEADER: true });
+  it("only excludes paths containing an excluded segment", async () => {
+    const allowedEvent = createEvent({
+      uri: "/uk/api/commodities/usery",
+      headers: { Authorization: "Bearer token" },
+    });
+    await handler(allowedEvent, createContext(), mockCallback);
+    expect(mockCallback).toHaveBeenLastCalledWith(
+      null,
+      expect.objectContaining({ uri: "/uk/api/commodities/usery" }),
+    );
+
+    const excludedEvent = createEvent({
+      uri: "/uk/api/user/subscriptions",
+      headers: { Authorization: "Bearer token" },
+    });
+    await handler(excludedEvent, createContext(), mockCallback);
+    expect(mockCallback).toHaveBeenLastCalledWith(
+      null,
+      expect.objectContaining({ status: "403" }),
+    );
+  });
+
+  it.each([
+    ["tariff/read", "/xi/api/green_lanes.json"],
+    ["tariff/read", "/uk/api/user.json"],
+    ["tariff/read", "/uk/api/notifications.json"],
+    ["tariff/read", "/uk/api/admin.csv"],
+    ["tariff/write", "/xi/api/green_lanes.json"],
+  ])("%s excludes %s with a format suffix", async (scope, uri) => {
+    setupMocks({ jwtPayload: { scope, client_id: "test-client" } });
 
     const event = createEvent({
-      headers: {
-        Authorization: "Bearer token",
-        "x-rate-limiter": "fully-atomic-dynamo",
-      },
+      uri,
+      headers: { Authorization: "Bearer token" },
     });
     await handler(event, createContext(), mockCallback);
-    expect(fullyAtomicRateLimit).toHaveBeenCalled();
-    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ status: "403" }),
+    );
   });
 
-  it("defaults to v2 limiter on invalid header when configurable", async () => {
-    loadHandlerWithConfig({ RATE_LIMITER_CONFIGURABLE_VIA_HEADER: true });
+  it("lets another scope grant a path excluded by the first scope", async () => {
+    setupMocks({
+      jwtPayload: { scope: "tariff/read spimm/read", client_id: "test-client" },
+    });
+
     const event = createEvent({
-      headers: {
-        Authorization: "Bearer token",
-        "x-rate-limiter": "invalid-type",
-      },
+      uri: "/xi/api/green_lanes/goods_nomenclatures/0101",
+      headers: { Authorization: "Bearer token" },
     });
     await handler(event, createContext(), mockCallback);
-    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalled();
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({
+        uri: "/xi/api/green_lanes/goods_nomenclatures/0101",
+      }),
+    );
   });
 
-  it("defaults to v2 limiter when rate limiter not configurable", async () => {
-    loadHandlerWithConfig({ RATE_LIMITER_CONFIGURABLE_VIA_HEADER: false });
+  it.each([
+    ["/xi/api/%67reen_lanes/themes"],
+    ["/xi/api/x/../green_lanes"],
+    ["/xi/api//./green_lanes"],
+    ["/XI/API/Green_Lanes"],
+  ])("authorises %s against its canonical form", async (uri) => {
     const event = createEvent({
+      uri,
       headers: { Authorization: "Bearer token" },
     });
     await handler(event, createContext(), mockCallback);
-    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalled();
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ status: "403" }),
+    );
   });
 
-  // Scenario 9: No client_id in JWT
-  it("returns 401 when no client_id in JWT", async () => {
-    mockVerify.mockResolvedValue({ scope: "tariff/read" }); // No client_id here
+  it.each([
+    ["/uk/api/%2fadmin"],
+    ["/uk/api/admin%5Cusers"],
+    ["/uk/api/%252e%252e/admin"],
+    ["/uk/api/%zz"],
+    ["/uk/api/%c0%af"],
+    ["/uk/api/%00"],
+    ["/uk/../../admin"],
+  ])("returns 400 for the ambiguous path %s", async (uri) => {
+    const event = createEvent({
+      uri,
+      headers: { Authorization: "Bearer token" },
+    });
+    await handler(event, createContext(), mockCallback);
+    expect(mockCallback).toHaveBeenCalledWith(null, {
+      status: "400",
+      statusDescription: "Bad Request",
+      headers: expect.any(Object),
+      body: expect.stringContaining('"status":"400"'),
+    });
+    expect(mockVerify).not.toHaveBeenCalled();
+  });
 
-    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+  it("returns 400 for ambiguous paths without an Authorization header", async () => {
+    const event = createEvent({ uri: "/uk/admin/%2e%2e%2f", headers: {} });
     await handler(event, createContext(), mockCallback);
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ status: "400" }),
+    );
+  });
 
+  it("forwards the canonical path to the origin", async () => {
+    const event = createEvent({
+      uri: "/uk/api//v2/./headings/%30104/",
+      headers: { Authorization: "Bearer token" },
+    });
+    await handler(event, createContext(), mockCallback);
     expect(mockCallback).toHaveBeenCalledWith(
       null,
-      expect.objectContaining({
-        status: "401",
-        statusDescription: "Unauthorized",
-      }),
+      expect.objectContaining({ uri: "/uk/api/v2/headings/0104/" }),
+    );
+  });
+
+  it("authenticates with an API key when no Authorization header is sent", async () => {
+    const event = createEvent({
+      headers: { "X-Api-Key": "0123456789abcdef0123456789abcdef" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(verifyApiKeyCached).toHaveBeenCalledWith(
+      expect.anything(),
+      "client-api-keys",
+      "0123456789abcdef0123456789abcdef",
+    );
+    expect(mockVerify).not.toHaveBeenCalled();
+    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalledWith(
+      expect.anything(),
+      "client-rate-limits",
+      "test-client",
+      { limits: undefined, cost: 1 },
+    );
+
+    const forwarded = mockCallback.mock.calls[0][1];
+    expect(forwarded.headers["x-client-id"]).toStrictEqual([
+      { key: "X-Client-Id", value: "test-client" },
+    ]);
+    expect(forwarded.headers["x-api-key"]).toBeUndefined();
+  });
+
+  it("returns 401 for an unknown API key", async () => {
+    setupMocks({ apiKeyPayload: null });
+
+    const event = createEvent({
+      headers: { "X-Api-Key": "0123456789abcdef0123456789abcdef" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ status: "401" }),
+    );
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+  });
+
+  it("charges API key lookups that miss the cache to the viewer's address", async () => {
+    setupMocks({ apiKeyLookupRequired: true, apiKeyPayload: null });
+
+    const event = createEvent({
+      headers: { "X-Api-Key": "0123456789abcdef0123456789abcdef" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalledWith(
+      expect.anything(),
+      "client-rate-limits",
+      "ip#192.0.2.1",
+      {
+        limits: { maxTokens: 60, refillInterval: 60, refillRate: 30 },
+        cost: 1,
+        expireWhenFull: true,
+      },
+    );
+    expect(mockCallback.mock.calls[0][1].status).toBe("401");
+  });
+
+  it("returns 429 without a key lookup once the viewer's address is out of tokens", async () => {
+    setupMocks({ apiKeyLookupRequired: true, rateLimitV2: [false] });
+
+    const event = createEvent({
+      headers: { "X-Api-Key": "0123456789abcdef0123456789abcdef" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("429");
+    expect(JSON.parse(response.body).errors[0].code).toBe("rate_limited");
+    expect(verifyApiKeyCached).not.toHaveBeenCalled();
+  });
+
+  it("stops a flood of distinct invalid API keys from reading the table", async () => {
+    const actualApiKeys = jest.requireActual("../src/apiKeys");
+    const actualLimiter = jest.requireActual(
+      "../src/rateLimiterHybridMemoryDynamoV2",
+    );
+    actualApiKeys.apiKeyCache.clear();
+    actualLimiter.memoryCache.clear();
+    verifyApiKeyCached.mockImplementation(actualApiKeys.verifyApiKeyCached);
+    apiKeyLookupRequired.mockImplementation(actualApiKeys.apiKeyLookupRequired);
+    reducedAtomicityHybridLimitV2.mockImplementation(
+      actualLimiter.applyRateLimit,
+    );
+    mockDdbSend.mockReset();
+    mockDdbSend.mockResolvedValue({});
+    const dateNow = jest.spyOn(Date, "now").mockReturnValue(1763899200000);
+    const statuses = [];
+    let keyLookups;
+
+    try {
+      for (let i = 0; i < 70; i++) {
+        mockCallback.mockClear();
+        const event = createEvent({
+          headers: { "X-Api-Key": `invalid-key-${i.toString().padStart(8)}` },
+        });
+        await handler(event, createContext(), mockCallback);
+        statuses.push(mockCallback.mock.calls[0][1].status);
+      }
+
+      keyLookups = mockDdbSend.mock.calls.filter(
+        ([command]) => command.input.TableName === "client-api-keys",
+      );
+    } finally {
+      dateNow.mockRestore();
+      mockDdbSend.mockReset();
+    }
+
+    // The anonymous bucket holds 60 tokens, so only 60 keys are ever looked up
+    expect(statuses.filter((status) => status === "401")).toHaveLength(60);
+    expect(statuses.slice(60)).toStrictEqual(Array(10).fill("429"));
+    expect(keyLookups).toHaveLength(60);
+  });
+
+  it("returns 403 when the API key scopes do not authorize the path", async () => {
+    setupMocks({
+      apiKeyPayload: { client_id: "test-client", scope: "fpo/read" },
+    });
+
+    const event = createEvent({
+      headers: { "X-Api-Key": "0123456789abcdef0123456789abcdef" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ status: "403" }),
+    );
+  });
+
+  it("prefers the bearer token when both credentials are sent", async () => {
+    const event = createEvent({
+      headers: {
+        Authorization: "Bearer token",
+        "X-Api-Key": "0123456789abcdef0123456789abcdef",
+      },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(mockVerify).toHaveBeenCalledWith("token");
+    expect(verifyApiKeyCached).not.toHaveBeenCalled();
+  });
+
+  it("returns 401 with a revocation detail when the token is revoked", async () => {
+    setupMocks({ tokenRevoked: true });
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    expect(isTokenRevoked).toHaveBeenCalledWith(
+      expect.anything(),
+      "token-revocations",
+      expect.objectContaining({ client_id: "test-client" }),
+    );
+    expect(mockCallback).toHaveBeenCalledWith(null, {
+      status: "401",
+      statusDescription: "Unauthorized",
+      body: expect.stringContaining("has been revoked"),
+      headers: expect.objectContaining({
+        "www-authenticate": [
+          {
+            key: "WWW-Authenticate",
+            value:
+              'Bearer realm="trade-tariff", error="invalid_token", error_description="The access token has been revoked"',
+          },
+        ],
+      }),
+    });
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+  });
+
+  it("checks revocation even when the token is served from the cache", async () => {
+    setupMocks({
+      jwtPayload: { exp: Math.floor(Date.now() / 1000) + 3600 },
+    });
+    const event = () =>
+      createEvent({ headers: { Authorization: "Bearer cached-token" } });
+
+    await handler(event(), createContext(), mockCallback);
+    isTokenRevoked.mockResolvedValue(true);
+    await handler(event(), createContext(), mockCallback);
+
+    expect(mockVerify).toHaveBeenCalledTimes(1);
+    expect(mockCallback).toHaveBeenLastCalledWith(
+      null,
+      expect.objectContaining({ status: "401" }),
+    );
+  });
+
+  it("does not check revocation for API key clients", async () => {
+    const event = createEvent({
+      headers: { "X-Api-Key": "0123456789abcdef0123456789abcdef" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(isTokenRevoked).not.toHaveBeenCalled();
+  });
+
+  it("returns 403 with suspension details for a suspended client", async () => {
+    setupMocks({
+      clientStatus: {
+        status: "suspended",
+        reason: "Excessive scraping",
+        expiresAt: 1762187400,
+      },
+    });
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    expect(getClientStatus).toHaveBeenCalledWith(
+      expect.anything(),
+      "client-rate-limits",
+      "test-client",
+    );
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("403");
+    expect(JSON.parse(response.body).errors[0]).toStrictEqual({
+      status: "403",
+      code: "client_suspended",
+      title: "Forbidden",
+      detail: expect.stringContaining("temporarily suspended"),
+      links: {
+        about:
+          "https://github.com/trade-tariff/trade-tariff-lambdas-authenticator/blob/main/docs/errors.md#client_suspended",
+      },
+      meta: {
+        clientStatus: "suspended",
+        reason: "Excessive scraping",
+        until: "2025-11-03T16:30:00.000Z",
+      },
+    });
+  });
+
+  it("returns 403 for a blocked API key client", async () => {
+    setupMocks({
+      clientStatus: { status: "blocked", reason: null, expiresAt: null },
+    });
+
+    const event = createEvent({
+      headers: { "X-Api-Key": "0123456789abcdef0123456789abcdef" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("403");
+    expect(JSON.parse(response.body).errors[0].meta).toStrictEqual({
+      clientStatus: "blocked",
+    });
+  });
+
+  // Scenario 5: Valid, authorized, rate limit allowed
+  it("forwards request with rate limit headers when allowed", async () => {
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalledWith(
+      expect.anything(),
+      "client-rate-limits",
+      "test-client",
+      { limits: undefined, cost: 1 },
+    );
+
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({
+        headers: expect.objectContaining({
+          "x-ratelimit-limit": [{ key: "X-RateLimit-Limit", value: "500" }],
+          "x-ratelimit-remaining": [
+            { key: "X-RateLimit-Remaining", value: "499" },
+          ],
+          "x-client-id": [{ key: "X-Client-Id", value: "test-client" }],
+          "x-client-issuer": [{ key: "X-Client-Issuer", value: "cognito" }],
+        }),
+      }),
+    );
+    expect(mockVerify).toHaveBeenCalledWith("token");
+  });
+
+  // Scenario 6: Rate limit denied
+  it("returns 429 when rate limit denied", async () => {
+    reducedAtomicityHybridLimitV2.mockResolvedValue(
+      generateRateLimitResult(false),
+    );
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({
+        status: "429",
+        statusDescription: "Too Many Requests",
+      }),
+    );
+  });
+
+  // Scenario 7: Collision flagged
+  it("includes collision header when flagged", async () => {
+    reducedAtomicityHybridLimitV2.mockResolvedValue(
+      generateRateLimitResult(true, true),
+    );
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({
+        headers: expect.objectContaining({
+          "x-ratelimit-collision": [
+            { key: "X-RateLimit-Collision", value: "true" },
+          ],
+        }),
+      }),
+    );
+  });
+
+  it("returns a token_expired code when the token has expired", async () => {
+    const { JwtExpiredError } = require("aws-jwt-verify/error");
+    mockVerify.mockRejectedValue(new JwtExpiredError("Token expired", 1, 2));
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("401");
+    expect(JSON.parse(response.body).errors[0].code).toBe("token_expired");
+  });
+
+  it("returns 503 limiter_unavailable when the rate limiter throws", async () => {
+    reducedAtomicityHybridLimitV2.mockRejectedValue(
+      new Error("ProvisionedThroughputExceededException"),
+    );
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("503");
+    expect(response.statusDescription).toBe("Service Unavailable");
+    expect(JSON.parse(response.body).errors[0].code).toBe(
+      "limiter_unavailable",
+    );
+    expect(error).toHaveBeenCalledWith(
+      "Rate limit check failed:",
+      expect.any(Error),
+    );
+  });
+
+  it("returns 503 limiter_unavailable when the default limiter cannot read DynamoDB", async () => {
+    const actualLimiter = jest.requireActual(
+      "../src/rateLimiterHybridMemoryDynamoV2",
+    );
+    actualLimiter.memoryCache.clear();
+    reducedAtomicityHybridLimitV2.mockImplementation(
+      actualLimiter.applyRateLimit,
+    );
+    mockDdbSend.mockRejectedValueOnce(
+      new Error("ProvisionedThroughputExceededException"),
+    );
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("503");
+    expect(JSON.parse(response.body).errors[0].code).toBe(
+      "limiter_unavailable",
+    );
+  });
+
+  it("returns 503 auth_unavailable when a client lookup throws", async () => {
+    isTokenRevoked.mockRejectedValue(new Error("Network error"));
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("503");
+    expect(JSON.parse(response.body).errors[0].code).toBe("auth_unavailable");
+  });
+
+  it("returns 503 auth_unavailable when the API key lookup throws", async () => {
+    verifyApiKeyCached.mockRejectedValue(new Error("Network error"));
+
+    const event = createEvent({
+      headers: { "X-Api-Key": "0123456789abcdef0123456789abcdef" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("503");
+    expect(JSON.parse(response.body).errors[0].code).toBe("auth_unavailable");
+  });
+
+  it("returns a rate_limited code with the rate limit headers", async () => {
+    reducedAtomicityHybridLimitV2.mockResolvedValue(
+      generateRateLimitResult(false),
+    );
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(JSON.parse(response.body).errors[0].code).toBe("rate_limited");
+    expect(response.headers["x-ratelimit-remaining"]).toStrictEqual([
+      { key: "X-RateLimit-Remaining", value: "0" },
+    ]);
+  });
+
+  it("renders errors in the format the viewer accepts", async () => {
+    mockVerify.mockRejectedValue(new Error("Verification failed"));
+
+    const event = createEvent({
+      headers: {
+        Authorization: "Bearer token",
+        Accept: "application/problem+json",
+      },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.headers["content-type"]).toStrictEqual([
+      { key: "Content-Type", value: "application/problem+json" },
+    ]);
+    expect(response.headers["cache-control"]).toStrictEqual([
+      { key: "Cache-Control", value: "no-store" },
+    ]);
+    expect(JSON.parse(response.body)).toMatchObject({
+      status: 401,
+      code: "token_invalid",
+    });
+  });
+
+  it("renders errors in the viewer's language", async () => {
+    const event = createEvent({
+      headers: { Authorization: "Basic foo", "Accept-Language": "cy-GB" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.headers["content-language"]).toStrictEqual([
+      { key: "Content-Language", value: "cy" },
+    ]);
+    expect(JSON.parse(response.body).errors[0].title).toBe("Heb awdurdod");
+  });
+
+  it("answers CORS preflights without authenticating", async () => {
+    const event = createEvent({
+      uri: "/uk/api/sections",
+      method: "OPTIONS",
+      headers: {
+        Origin: "https://example.org",
+        "Access-Control-Request-Method": "GET",
+        "Access-Control-Request-Headers": "authorization",
+      },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("204");
+    expect(response.headers["access-control-allow-origin"]).toStrictEqual([
+      { key: "Access-Control-Allow-Origin", value: "https://example.org" },
+    ]);
+    expect(response.headers["access-control-allow-headers"][0].value).toContain(
+      "Authorization",
+    );
+    expect(mockVerify).not.toHaveBeenCalled();
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["GET", "/xi/api/green_lanes/goods_nomenclatures/0101210000"],
+    ["POST", "/uk/api/sections"],
+    ["POST", "/uk/admin/news_items"],
+  ])(
+    "forwards %s %s preflights that no CORS rule covers",
+    async (requestMethod, uri) => {
+      const event = createEvent({
+        uri,
+        method: "OPTIONS",
+        headers: {
+          Origin: "https://example.org",
+          "Access-Control-Request-Method": requestMethod,
+        },
+      });
+      await handler(event, createContext(), mockCallback);
+
+      expect(mockCallback).toHaveBeenCalledWith(
+        null,
+        expect.objectContaining({ uri, method: "OPTIONS" }),
+      );
+      expect(mockVerify).not.toHaveBeenCalled();
+    },
+  );
+
+  it("adds CORS headers to generated errors", async () => {
+    mockVerify.mockRejectedValue(new Error("Verification failed"));
+
+    const event = createEvent({
+      uri: "/uk/api/sections",
+      headers: { Authorization: "Bearer token", Origin: "https://example.org" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("401");
+    expect(response.headers).toMatchObject({
+      vary: [{ key: "Vary", value: "Origin" }],
+      "access-control-allow-origin": [
+        { key: "Access-Control-Allow-Origin", value: "https://example.org" },
+      ],
+      "access-control-expose-headers": [
+        {
+          key: "Access-Control-Expose-Headers",
+          value: expect.stringContaining("X-RateLimit-Remaining"),
+        },
+      ],
+    });
+  });
+
+  it("adds CORS headers to errors for malformed paths", async () => {
+    const event = createEvent({
+      uri: "/uk/api/%2fsections",
+      headers: { Authorization: "Bearer token", Origin: "https://example.org" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("400");
+    expect(response.headers).toMatchObject({
+      vary: [{ key: "Vary", value: "Origin" }],
+      "access-control-allow-origin": [
+        { key: "Access-Control-Allow-Origin", value: "https://example.org" },
+      ],
+    });
+  });
+
+  it("forwards OPTIONS requests that are not preflights", async () => {
+    const event = createEvent({
+      uri: "/uk/api/sections",
+      method: "OPTIONS",
+      headers: {},
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ uri: "/uk/api/sections", method: "OPTIONS" }),
+    );
+  });
+
+  it("returns 403 when a client with an allowlist calls from outside it", async () => {
+    const { parseCidr } = require("../src/ipAddress");
+    setupMocks({
+      clientStatus: {
+        status: "active",
+        reason: null,
+        expiresAt: null,
+        allowedCidrs: [parseCidr("203.0.113.0/24")],
+      },
+    });
+
+    const event = createEvent({
+      headers: { Authorization: "Bearer token" },
+      clientIp: "198.51.100.1",
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("403");
+    expect(JSON.parse(response.body).errors[0].code).toBe(
+      "client_ip_not_allowed",
+    );
+    expect(response.headers["www-authenticate"]).toBeUndefined();
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+  });
+
+  it("forwards requests from inside a client's allowlist", async () => {
+    const { parseCidr } = require("../src/ipAddress");
+    setupMocks({
+      clientStatus: {
+        status: "active",
+        reason: null,
+        expiresAt: null,
+        allowedCidrs: [parseCidr("2001:db8::/32")],
+      },
+    });
+
+    const event = createEvent({
+      headers: { Authorization: "Bearer token" },
+      clientIp: "2001:db8:1::1",
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ uri: "/uk/api/v2/headings/0104" }),
+    );
+  });
+
+  describe("client entitlements", () => {
+    const { compilePathPattern } = require("../src/pathPattern");
+
+    function entitlements({
+      grantedScopes = [],
+      deniedScopes = [],
+      allowedPaths = [],
+      excludedPaths = [],
+    } = {}) {
+      const rules = (paths) =>
+        paths.map((path) => ({
+          matcher: compilePathPattern(path),
+          methods: null,
+        }));
+
+      return {
+        grantedScopes,
+        deniedScopes,
+        allowedPaths: rules(allowedPaths),
+        excludedPaths: rules(excludedPaths),
+      };
+    }
+
+    it("looks up entitlements for the verified client", async () => {
+      const event = createEvent({ headers: { Authorization: "Bearer token" } });
+      await handler(event, createContext(), mockCallback);
+
+      expect(getClientEntitlements).toHaveBeenCalledWith(
+        expect.anything(),
+        "client-entitlements",
+        "test-client",
+      );
+      expect(mockCallback.mock.calls[0][1]).toMatchObject({
+        uri: "/uk/api/v2/headings/0104",
+      });
+    });
+
+    it("grants access through a scope granted to the client", async () => {
+      setupMocks({
+        jwtPayload: { scope: "" },
+        entitlements: entitlements({ grantedScopes: ["tariff/read"] }),
+      });
+
+      const event = createEvent({ headers: { Authorization: "Bearer token" } });
+      await handler(event, createContext(), mockCallback);
+
+      expect(mockCallback.mock.calls[0][1]).toMatchObject({
+        uri: "/uk/api/v2/headings/0104",
+      });
+    });
+
+    it("denies a token scope that has been taken away from the client", async () => {
+      setupMocks({
+        entitlements: entitlements({ deniedScopes: ["tariff/read"] }),
+      });
+
+      const event = createEvent({ headers: { Authorization: "Bearer token" } });
+      await handler(event, createContext(), mockCallback);
+
+      expect(mockCallback.mock.calls[0][1]).toMatchObject({ status: "403" });
+    });
+
+    it("grants extra paths and applies extra exclusions", async () => {
+      setupMocks({
+        entitlements: entitlements({
+          allowedPaths: ["/uk/internal/reports/**"],
+          excludedPaths: ["/uk/api/v2/headings/**"],
+        }),
+      });
+
+      await handler(
+        createEvent({
+          uri: "/uk/internal/reports/daily",
+          headers: { Authorization: "Bearer token" },
+        }),
+        createContext(),
+        mockCallback,
+      );
+      await handler(
+        createEvent({ headers: { Authorization: "Bearer token" } }),
+        createContext(),
+        mockCallback,
+      );
+
+      expect(mockCallback.mock.calls[0][1]).toMatchObject({
+        uri: "/uk/internal/reports/daily",
+      });
+      expect(mockCallback.mock.calls[1][1]).toMatchObject({ status: "403" });
+    });
+
+    it("returns 503 when entitlements can't be looked up", async () => {
+      getClientEntitlements.mockRejectedValue(new Error("DynamoDB down"));
+
+      const event = createEvent({ headers: { Authorization: "Bearer token" } });
+      await handler(event, createContext(), mockCallback);
+
+      expect(mockCallback.mock.calls[0][1]).toMatchObject({ status: "503" });
+      expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+    });
+  });
+
+  // Scenario 8: Configurable limiter
+  it("uses configurable limiter via header when enabled", async () => {
+    loadHandlerWithConfig({ RATE_LIMITER_CONFIGURABLE_VIA_HEADER: true });
+
+    const event = createEvent({
+      headers: {
+        Authorization: "Bearer token",
+        "x-rate-limiter": "fully-atomic-dynamo",
+      },
+    });
+    await handler(event, createContext(), mockCallback);
+    expect(fullyAtomicRateLimit).toHaveBeenCalled();
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+  });
+
+  it("uses the GCRA limiter via header when enabled", async () => {
+    loadHandlerWithConfig({ RATE_LIMITER_CONFIGURABLE_VIA_HEADER: true });
+
+    const event = createEvent({
+      headers: {
+        Authorization: "Bearer token",
+        "x-rate-limiter": "gcra-dynamo",
+      },
+    });
+    await handler(event, createContext(), mockCallback);
+    expect(gcraRateLimit).toHaveBeenCalled();
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+  });
+
+  it("uses the sliding window limiter via header when enabled", async () => {
+    loadHandlerWithConfig({ RATE_LIMITER_CONFIGURABLE_VIA_HEADER: true });
+
+    const event = createEvent({
+      headers: {
+        Authorization: "Bearer token",
+        "x-rate-limiter": "sliding-window-dynamo",
+      },
+    });
+    await handler(event, createContext(), mockCallback);
+    expect(slidingWindowRateLimit).toHaveBeenCalled();
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+  });
+
+  it("uses the Redis token broker via header with the v2 limiter as its fallback", async () => {
+    const storedLimits = {
+      maxTokens: "100",
+      refillRate: "10",
+      refillInterval: "1",
+    };
+    loadHandlerWithConfig({
+      RATE_LIMITER_CONFIGURABLE_VIA_HEADER: true,
+      REDIS_TOKEN_BROKER_URL: "redis://broker.example:6379",
+    });
+    getClientStatus.mockResolvedValue({
+      status: "active",
+      reason: null,
+      expiresAt: null,
+      limits: storedLimits,
+    });
+
+    const event = createEvent({
+      headers: {
+        Authorization: "Bearer token",
+        "x-rate-limiter": "redis-token-broker",
+      },
+    });
+    await handler(event, createContext(), mockCallback);
+    expect(
+      require("../src/rateLimiterRedisTokenBroker").createRedisClient,
+    ).toHaveBeenCalledWith("redis://broker.example:6379");
+    expect(redisTokenBrokerLimit).toHaveBeenCalledWith(
+      mockRedisClient,
+      "client-rate-limits",
+      "test-client",
+      {
+        limits: undefined,
+        storedLimits,
+        cost: 1,
+        fallback: expect.any(Function),
+      },
+    );
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+
+    const { fallback } = redisTokenBrokerLimit.mock.calls[0][3];
+    await fallback();
+    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalledWith(
+      expect.anything(),
+      "client-rate-limits",
+      "test-client",
+      { limits: undefined, storedLimits, cost: 1 },
+    );
+  });
+
+  it("defaults to v2 limiter on invalid header when configurable", async () => {
+    loadHandlerWithConfig({ RATE_LIMITER_CONFIGURABLE_VIA_HEADER: true });
+    const event = createEvent({
+      headers: {
+        Authorization: "Bearer token",
+        "x-rate-limiter": "invalid-type",
+      },
+    });
+    await handler(event, createContext(), mockCallback);
+    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalled();
+  });
+
+  it("defaults to v2 limiter when rate limiter not configurable", async () => {
+    loadHandlerWithConfig({ RATE_LIMITER_CONFIGURABLE_VIA_HEADER: false });
+    const event = createEvent({
+      headers: { Authorization: "Bearer token" },
+    });
+    await handler(event, createContext(), mockCallback);
+    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalled();
+  });
+
+  // Scenario 9: No client_id in JWT
+  it("returns 401 when no client_id in JWT", async () => {
+    mockVerify.mockResolvedValue({ scope: "tariff/read" }); // No client_id here
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({
+        status: "401",
+        statusDescription: "Unauthorized",
+      }),
+    );
+  });
+
+  it("applies per-path method rules over the scope defaults", async () => {
+    loadHandlerWithConfig({
+      SCOPES: {
+        "tariff/read": {
+          allowedMethods: ["GET"],
+          allowedPaths: [
+            "/uk/api/**",
+            { path: "/uk/api/exchange_rates/**", methods: ["GET", "POST"] },
+          ],
+        },
+      },
+    });
+
+    const allowedEvent = createEvent({
+      uri: "/uk/api/exchange_rates/files",
+      method: "POST",
+      headers: { Authorization: "Bearer token" },
+    });
+    await handler(allowedEvent, createContext(), mockCallback);
+    expect(mockCallback).toHaveBeenLastCalledWith(
+      null,
+      expect.objectContaining({ uri: "/uk/api/exchange_rates/files" }),
+    );
+
+    const deniedEvent = createEvent({
+      uri: "/uk/api/v2/headings/0104",
+      method: "POST",
+      headers: { Authorization: "Bearer token" },
+    });
+    await handler(deniedEvent, createContext(), mockCallback);
+    expect(mockCallback).toHaveBeenLastCalledWith(
+      null,
+      expect.objectContaining({ status: "403" }),
+    );
+  });
+
+  it("verifies tokens with the issuer named in the iss claim", async () => {
+    loadHandlerWithConfig({
+      ISSUERS: [
+        {
+          name: "partner",
+          issuer: "https://idp.partner.example",
+          jwksUri: "https://idp.partner.example/jwks.json",
+          scopeMapping: { "partner.read": "tariff/read" },
+        },
+      ],
+    });
+    mockVerify.mockResolvedValue({
+      iss: "https://idp.partner.example",
+      client_id: "partner-client",
+      scope: "partner.read tariff/write",
+    });
+
+    const token = [
+      { alg: "RS256" },
+      { iss: "https://idp.partner.example" },
+      "signature",
+    ]
+      .map((part) => Buffer.from(JSON.stringify(part)).toString("base64url"))
+      .join(".");
+
+    const event = createEvent({
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    // tariff/write is not mapped for the partner, so only tariff/read is granted
+    expect(mockCallback).toHaveBeenLastCalledWith(
+      null,
+      expect.objectContaining({ status: "403" }),
+    );
+
+    const getEvent = createEvent({
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    await handler(getEvent, createContext(), mockCallback);
+    expect(mockCallback).toHaveBeenLastCalledWith(
+      null,
+      expect.objectContaining({
+        headers: expect.objectContaining({
+          "x-client-id": [{ key: "X-Client-Id", value: "partner-client" }],
+          "x-client-issuer": [{ key: "X-Client-Issuer", value: "partner" }],
+        }),
+      }),
+    );
+  });
+
+  it("returns 401 for tokens from an untrusted issuer", async () => {
+    loadHandlerWithConfig({
+      ISSUERS: [
+        {
+          name: "partner",
+          issuer: "https://idp.partner.example",
+          jwksUri: "https://idp.partner.example/jwks.json",
+        },
+      ],
+    });
+
+    const token = [
+      { alg: "RS256" },
+      { iss: "https://idp.attacker.example" },
+      "signature",
+    ]
+      .map((part) => Buffer.from(JSON.stringify(part)).toString("base64url"))
+      .join(".");
+
+    const event = createEvent({
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ status: "401" }),
+    );
+    expect(mockVerify).not.toHaveBeenCalled();
+  });
+
+  it("forwards a signed identity assertion when a secret is configured", async () => {
+    loadHandlerWithConfig({ IDENTITY_ASSERTION_SECRET: "test-secret" });
+    const { verifyIdentityAssertion } = require("../src/identityAssertion");
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    event.Records[0].cf.config = { requestId: "request-1" };
+    await handler(event, createContext(), mockCallback);
+
+    const [{ value }] =
+      mockCallback.mock.calls[0][1].headers["x-identity-assertion"];
+    expect(verifyIdentityAssertion(value, "test-secret")).toEqual(
+      expect.objectContaining({
+        sub: "test-client",
+        scope: "tariff/read",
+        idp: "cognito",
+        request_id: "request-1",
+      }),
+    );
+  });
+
+  it("strips reserved headers sent by unauthenticated viewers", async () => {
+    const event = createEvent({
+      headers: {
+        "X-Client-Id": "someone-else",
+        "X-RateLimit-Remaining": "9999",
+        "X-Identity-Assertion": "forged",
+        Accept: "application/json",
+      },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const forwarded = mockCallback.mock.calls[0][1];
+    expect(forwarded.headers["x-client-id"]).toStrictEqual([
+      { key: "X-Client-Id", value: "unknown" },
+    ]);
+    // Replaced by the anonymous rate limit
+    expect(forwarded.headers["x-ratelimit-remaining"]).toStrictEqual([
+      { key: "X-RateLimit-Remaining", value: "499" },
+    ]);
+    expect(forwarded.headers["x-identity-assertion"]).toBeUndefined();
+    expect(forwarded.headers["accept"]).toStrictEqual([
+      { key: "Accept", value: "application/json" },
+    ]);
+  });
+
+  it("replaces reserved headers sent by authenticated viewers", async () => {
+    const event = createEvent({
+      headers: {
+        Authorization: "Bearer token",
+        "X-RateLimit-Collision": "true",
+        "X-Client-Issuer": "forged",
+      },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const forwarded = mockCallback.mock.calls[0][1];
+    expect(forwarded.headers["x-ratelimit-collision"]).toBeUndefined();
+    expect(forwarded.headers["x-client-issuer"]).toStrictEqual([
+      { key: "X-Client-Issuer", value: "cognito" },
+    ]);
+  });
+
+  it("rejects reserved headers with 400 when configured to", async () => {
+    loadHandlerWithConfig({ RESERVED_HEADER_ACTION: "reject" });
+
+    const event = createEvent({
+      headers: { Authorization: "Bearer token", "X-Client-Id": "spoofed" },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    expect(mockCallback).toHaveBeenCalledWith(null, {
+      status: "400",
+      statusDescription: "Bad Request",
+      headers: expect.any(Object),
+      body: expect.stringContaining("reserved for internal use"),
+    });
+    expect(mockVerify).not.toHaveBeenCalled();
+  });
+
+  it("adds CORS headers to reserved header rejections", async () => {
+    loadHandlerWithConfig({ RESERVED_HEADER_ACTION: "reject" });
+
+    const event = createEvent({
+      uri: "/uk/api/sections",
+      headers: {
+        Authorization: "Bearer token",
+        "X-Client-Id": "spoofed",
+        Origin: "https://example.org",
+      },
+    });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("400");
+    expect(response.headers["access-control-allow-origin"]).toStrictEqual([
+      { key: "Access-Control-Allow-Origin", value: "https://example.org" },
+    ]);
+  });
+
+  it("does not rate limit anonymous requests when disabled", async () => {
+    loadHandlerWithConfig({ ANONYMOUS_RATE_LIMIT: { enabled: false } });
+
+    const event = createEvent({ headers: {} });
+    await handler(event, createContext(), mockCallback);
+
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({
+        headers: { "x-client-id": [{ key: "X-Client-Id", value: "unknown" }] },
+      }),
+    );
+  });
+
+  it("forwards anonymous requests to public paths inside protected ones", async () => {
+    loadHandlerWithConfig({
+      AUTH_REQUIRED_PATHS: [
+        "/uk/admin/**",
+        { path: "/uk/api/**", methods: ["POST", "PUT", "PATCH", "DELETE"] },
+      ],
+      PUBLIC_PATHS: ["/uk/admin/healthcheck"],
+    });
+
+    await handler(
+      createEvent({ uri: "/uk/admin/healthcheck", headers: {} }),
+      createContext(),
+      mockCallback,
+    );
+    await handler(
+      createEvent({ uri: "/uk/api/sections", headers: {} }),
+      createContext(),
+      mockCallback,
+    );
+    await handler(
+      createEvent({ uri: "/uk/api/sections", method: "POST", headers: {} }),
+      createContext(),
+      mockCallback,
+    );
+
+    expect(mockCallback.mock.calls[0][1]).toMatchObject({
+      uri: "/uk/admin/healthcheck",
+    });
+    expect(mockCallback.mock.calls[1][1]).toMatchObject({
+      uri: "/uk/api/sections",
+    });
+    expect(mockCallback.mock.calls[2][1]).toMatchObject({ status: "401" });
+  });
+
+  it("rejects tokens issued to a denied app client", async () => {
+    loadHandlerWithConfig({
+      TOKEN_POLICY: { deniedClientIds: ["test-client"] },
+    });
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("401");
+    expect(JSON.parse(response.body).errors[0].code).toBe("client_not_allowed");
+    expect(reducedAtomicityHybridLimitV2).not.toHaveBeenCalled();
+  });
+
+  it("only accepts app clients on the allowlist when one is configured", async () => {
+    loadHandlerWithConfig({
+      TOKEN_POLICY: { allowedClientIds: ["other-client"] },
+    });
+
+    await handler(
+      createEvent({ headers: { Authorization: "Bearer token" } }),
+      createContext(),
+      mockCallback,
+    );
+    mockVerify.mockResolvedValue({
+      ...mockJwtPayload,
+      client_id: "other-client",
+    });
+    await handler(
+      createEvent({ headers: { Authorization: "Bearer other-token" } }),
+      createContext(),
+      mockCallback,
+    );
+
+    expect(mockCallback.mock.calls[0][1]).toMatchObject({ status: "401" });
+    expect(mockCallback.mock.calls[1][1].headers["x-client-id"]).toStrictEqual([
+      { key: "X-Client-Id", value: "other-client" },
+    ]);
+  });
+
+  it("rejects tokens without a scope under a required prefix", async () => {
+    loadHandlerWithConfig({
+      TOKEN_POLICY: { requiredScopePrefixes: ["tariff/"] },
+    });
+    mockVerify.mockResolvedValue({ ...mockJwtPayload, scope: "internal/read" });
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("401");
+    expect(JSON.parse(response.body).errors[0].code).toBe(
+      "token_claims_invalid",
+    );
+  });
+
+  it("accepts every client when the token policy is null", async () => {
+    loadHandlerWithConfig({ TOKEN_POLICY: null });
+
+    const event = createEvent({ headers: { Authorization: "Bearer token" } });
+    await handler(event, createContext(), mockCallback);
+
+    expect(mockCallback).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({ uri: "/uk/api/v2/headings/0104" }),
+    );
+  });
+
+  it("tolerates the configured clock skew on iat", async () => {
+    loadHandlerWithConfig({ TOKEN_POLICY: { clockSkewSeconds: 30 } });
+    const { CognitoJwtVerifier } = require("aws-jwt-verify");
+    const now = Math.floor(Date.now() / 1000);
+
+    mockVerify.mockResolvedValue({ ...mockJwtPayload, iat: now + 10 });
+    await handler(
+      createEvent({ headers: { Authorization: "Bearer token" } }),
+      createContext(),
+      mockCallback,
+    );
+    mockVerify.mockResolvedValue({ ...mockJwtPayload, iat: now + 120 });
+    await handler(
+      createEvent({ headers: { Authorization: "Bearer later-token" } }),
+      createContext(),
+      mockCallback,
+    );
+
+    expect(CognitoJwtVerifier.create).toHaveBeenLastCalledWith(
+      expect.objectContaining({ graceSeconds: 30 }),
+    );
+    expect(mockCallback.mock.calls[0][1]).toMatchObject({
+      uri: "/uk/api/v2/headings/0104",
+    });
+    const response = mockCallback.mock.calls[1][1];
+    expect(response.status).toBe("401");
+    expect(JSON.parse(response.body).errors[0].code).toBe(
+      "token_not_yet_valid",
+    );
+  });
+
+  it("charges the bucket of the route group the path belongs to", async () => {
+    loadHandlerWithConfig({
+      RATE_LIMIT_GROUPS: [
+        {
+          name: "search",
+          paths: ["/uk/api/search", "/xi/api/search"],
+          limits: { maxTokens: 20, refillRate: 10, refillInterval: 1 },
+        },
+        { name: "admin", paths: [{ path: "/uk/admin/**", methods: ["POST"] }] },
+      ],
+      REQUEST_COSTS: [],
+    });
+
+    await handler(
+      createEvent({
+        uri: "/uk/api/search",
+        headers: { Authorization: "Bearer token" },
+      }),
+      createContext(),
+      mockCallback,
+    );
+
+    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalledWith(
+      expect.anything(),
+      "client-rate-limits",
+      "test-client#search",
+      {
+        limits: { maxTokens: 20, refillRate: 10, refillInterval: 1 },
+        cost: 1,
+      },
+    );
+    const forwarded = mockCallback.mock.calls[0][1];
+    expect(forwarded.headers["x-ratelimit-group"]).toStrictEqual([
+      { key: "X-RateLimit-Group", value: "search" },
+    ]);
+    expect(forwarded.headers["x-ratelimit-remaining"]).toStrictEqual([
+      { key: "X-RateLimit-Remaining", value: "499" },
+    ]);
+  });
+
+  it("uses the client's own bucket outside every route group", async () => {
+    loadHandlerWithConfig({
+      RATE_LIMIT_GROUPS: [{ name: "search", paths: ["/uk/api/search"] }],
+    });
+
+    await handler(
+      createEvent({ headers: { Authorization: "Bearer token" } }),
+      createContext(),
+      mockCallback,
+    );
+
+    expect(reducedAtomicityHybridLimitV2).toHaveBeenCalledWith(
+      expect.anything(),
+      "client-rate-limits",
+      "test-client",
+      { limits: undefined, cost: 1 },
+    );
+    expect(
+      mockCallback.mock.calls[0][1].headers["x-ratelimit-group"],
+    ).toBeUndefined();
+  });
+
+  it("reports the route group on rate limited responses", async () => {
+    loadHandlerWithConfig({
+      RATE_LIMIT_GROUPS: [{ name: "search", paths: ["/uk/api/search"] }],
+    });
+    reducedAtomicityHybridLimitV2.mockResolvedValue(
+      generateRateLimitResult(false),
+    );
+
+    await handler(
+      createEvent({
+        uri: "/uk/api/search",
+        headers: { Authorization: "Bearer token" },
+      }),
+      createContext(),
+      mockCallback,
+    );
+
+    const response = mockCallback.mock.calls[0][1];
+    expect(response.status).toBe("429");
+    expect(response.headers["x-ratelimit-group"]).toStrictEqual([
+      { key: "X-RateLimit-Group", value: "search" },
+    ]);
+  });
+
+  it("charges the configured cost for expensive paths", async () => {
+    loadHandlerWithConfig({
+      REQUEST_COSTS: [
+        { paths: ["/uk/api/**/search"], cost: 5 },
+        {
+          paths: [{ path: "/uk/api/**/exchange_rates/**", methods: ["GET"] }],
+          cost: 10,
+        },
+      ],
+    });
+
+    for (const uri of [
+      "/uk/api/v2/search",
+      "/uk/api/v2/exchange_rates/files",
+      "/uk/api/v2/headings/0104",
+    ]) {
+      await handler(
+        createEvent({ uri, headers: { Authorization: "Bearer token" } }),
+        createContext(),
+        mockCallback,
+      );
+    }
+    await handler(
+      createEvent({ uri: "/uk/api/v2/search", headers: {} }),
+      createContext(),
+      mockCallback,
+    );
+
+    const costs = reducedAtomicityHybridLimitV2.mock.calls.map(
+      ([, , , options]) => options.cost,
     );
+    expect(costs).toStrictEqual([5, 10, 1, 5]);
   });
 });
@@ -0,0 +1,44 @@
+const { handler } = require("../src/responseHandler");
+
+function createEvent(requestHeaders) {
+  return {
+    Records: [
+      {
+        cf: {
+          request: { headers: requestHeaders },
+          response: { status: "200", headers: {} },
+        },
+      },
+    ],
+  };
+}
+
+describe("handler", () => {
+  it("copies the rate limit headers from the request to the response", async () => {
+    const event = createEvent({
+      "x-ratelimit-limit": [{ key: "X-RateLimit-Limit", value: "500" }],
+      "x-ratelimit-remaining": [{ key: "X-RateLimit-Remaining", value: "499" }],
+      "x-ratelimit-reset": [{ key: "X-RateLimit-Reset", value: "1" }],
+      "x-ratelimit-group": [{ key: "X-RateLimit-Group", value: "search" }],
+    });
+
+    const response = await handler(event);
+
+    expect(response.headers).toStrictEqual({
+      "x-ratelimit-limit": [{ key: "X-RateLimit-Limit", value: "500" }],
+      "x-ratelimit-remaining": [{ key: "X-RateLimit-Remaining", value: "499" }],
+      "x-ratelimit-reset": [{ key: "X-RateLimit-Reset", value: "1" }],
+      "x-ratelimit-group": [{ key: "X-RateLimit-Group", value: "search" }],
+    });
+  });
+
+  it("leaves the group empty for requests charged to the client's own bucket", async () => {
+    const event = createEvent({
+      "x-ratelimit-limit": [{ key: "X-RateLimit-Limit", value: "500" }],
+    });
+
+    const response = await handler(event);
+
+    expect(response.headers["x-ratelimit-group"]).toStrictEqual([]);
+  });
+});
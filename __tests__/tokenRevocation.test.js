@@ -0,0 +1,113 @@
+const { isTokenRevoked, revocationCache } = require("../src/tokenRevocation");
+const { GetItemCommand } = require("@aws-sdk/client-dynamodb");
+
+// Mock DynamoDB client
+const mockSend = jest.fn();
+const mockDdbClient = { send: mockSend };
+
+const payload = {
+  jti: "token-1",
+  client_id: "test-client",
+  iat: 1762183800,
+};
+
+function respondWith(items) {
+  mockSend.mockImplementation(async (command) => ({
+    Item: items[command.input.Key.revocationKey.S],
+  }));
+}
+
+describe("isTokenRevoked", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2025, 10, 3, 15, 30, 0));
+    revocationCache.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("returns false when neither the token nor the client is revoked", async () => {
+    respondWith({});
+
+    await expect(
+      isTokenRevoked(mockDdbClient, "token-revocations", payload),
+    ).resolves.toBe(false);
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(mockSend.mock.calls[0][0]).toBeInstanceOf(GetItemCommand);
+    expect(
+      mockSend.mock.calls.map(([command]) => command.input.Key.revocationKey.S),
+    ).toStrictEqual(["jti#token-1", "client#test-client"]);
+  });
+
+  it("returns true when the jti is on the denylist", async () => {
+    respondWith({ "jti#token-1": { revocationKey: { S: "jti#token-1" } } });
+
+    await expect(
+      isTokenRevoked(mockDdbClient, "token-revocations", payload),
+    ).resolves.toBe(true);
+  });
+
+  it("returns true for tokens issued before the client's revokedBefore", async () => {
+    respondWith({
+      "client#test-client": {
+        revocationKey: { S: "client#test-client" },
+        revokedBefore: { N: "1762183801" },
+      },
+    });
+
+    await expect(
+      isTokenRevoked(mockDdbClient, "token-revocations", payload),
+    ).resolves.toBe(true);
+  });
+
+  it("returns false for tokens issued after the client's revokedBefore", async () => {
+    respondWith({
+      "client#test-client": {
+        revocationKey: { S: "client#test-client" },
+        revokedBefore: { N: "1762183700" },
+      },
+    });
+
+    await expect(
+      isTokenRevoked(mockDdbClient, "token-revocations", payload),
+    ).resolves.toBe(false);
+  });
+
+  it("only checks the client when the token has no jti", async () => {
+    respondWith({});
+
+    await isTokenRevoked(mockDdbClient, "token-revocations", {
+      client_id: "test-client",
+      iat: 1762183800,
+    });
+
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  it("caches lookups until the TTL expires", async () => {
+    respondWith({});
+
+    await isTokenRevoked(mockDdbClient, "token-revocations", payload);
+    await isTokenRevoked(mockDdbClient, "token-revocations", payload);
+    expect(mockSend).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(30001);
+    respondWith({ "jti#token-1": { revocationKey: { S: "jti#token-1" } } });
+
+    await expect(
+      isTokenRevoked(mockDdbClient, "token-revocations", payload),
+    ).resolves.toBe(true);
+    expect(mockSend).toHaveBeenCalledTimes(4);
+  });
+
+  it("propagates DynamoDB errors", async () => {
+    mockSend.mockRejectedValue(new Error("Network error"));
+
+    await expect(
+      isTokenRevoked(mockDdbClient, "token-revocations", payload),
+    ).rejects.toThrow("Network error");
+  });
+});
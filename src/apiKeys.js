@@ -0,0 +1,84 @@
+/**
+ * Static API Key Authentication
+ *
+ * - For integrators that cannot run an OAuth client-credentials flow.
+ * - Keys are never stored: DynamoDB holds the SHA-256 hash of each key along with the clientId and scopes it grants.
+ * - Lookups (including misses) are cached in memory so repeat requests don't cost a DynamoDB read.
+ * - `apiKeyLookupRequired` tells the caller when verifying a key will cost a read, so it can charge the
+ *   viewer for it first.
+ */
+const { GetItemCommand } = require("@aws-sdk/client-dynamodb");
+const crypto = require("crypto");
+const { createTtlCache } = require("./cache");
+
+// Cached payloads by key hash, or null for unknown keys. The TTL bounds how long a deleted key keeps working.
+const apiKeyCache = createTtlCache({ ttlMs: 60000 });
+const minKeyLength = 16;
+const maxKeyLength = 256;
+
+function hashApiKey(apiKey) {
+  return crypto.createHash("sha256").update(apiKey).digest("hex");
+}
+
+// Shape the key record like a verified access token payload so the rest of the
+// handler (scope checks, rate limiting) treats both credentials identically.
+function toPayload(item) {
+  const clientId = item?.clientId?.S;
+
+  if (!clientId) return null;
+
+  const scopes = item.scopes?.SS || item.scopes?.S?.split(" ") || [];
+
+  return {
+    client_id: clientId,
+    scope: scopes.join(" "),
+    issuer_name: "api-key",
+  };
+}
+
+function isWellFormed(apiKey) {
+  return (
+    typeof apiKey === "string" &&
+    apiKey.length >= minKeyLength &&
+    apiKey.length <= maxKeyLength
+  );
+}
+
+// Malformed keys are rejected without a read, and cached ones are answered from memory
+function apiKeyLookupRequired(apiKey) {
+  return (
+    isWellFormed(apiKey) && apiKeyCache.get(hashApiKey(apiKey)) === undefined
+  );
+}
+
+async function verifyApiKeyCached(ddbClient, table, apiKey) {
+  if (!isWellFormed(apiKey)) {
+    return null;
+  }
+
+  const keyHash = hashApiKey(apiKey);
+  const cached = apiKeyCache.get(keyHash);
+
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const getParams = {
+    TableName: table,
+    Key: { keyHash: { S: keyHash } },
+    ProjectionExpression: "clientId, scopes",
+  };
+  const getResult = await ddbClient.send(new GetItemCommand(getParams));
+  const payload = toPayload(getResult.Item);
+
+  apiKeyCache.set(keyHash, payload);
+
+  return payload;
+}
+
+module.exports = {
+  verifyApiKeyCached,
+  apiKeyLookupRequired,
+  hashApiKey,
+  apiKeyCache,
+};
@@ -0,0 +1,57 @@
+/**
+ * In-memory Caches
+ *
+ * - Local to a Lambda instance, so approximate and non-persistent: every warm instance keeps its own copy.
+ * - Bounded: once `maxSize` keys are held, adding another evicts the oldest first (FIFO). Keys can come from
+ *   request data, so a cache must never grow for the life of the instance.
+ * - `createTtlCache` also expires entries `ttlMs` after they were set. Any value can be cached, including
+ *   null for a lookup that found nothing, so misses don't cost a DynamoDB read either.
+ */
+const DEFAULT_MAX_SIZE = 1000;
+
+// Sets a key on a plain Map, first evicting the oldest key if a new one would exceed maxSize
+function setBounded(map, key, value, maxSize = DEFAULT_MAX_SIZE) {
+  if (!map.has(key) && map.size >= maxSize) {
+    const firstKey = map.keys().next().value;
+    map.delete(firstKey);
+  }
+
+  map.set(key, value);
+}
+
+function createTtlCache({ ttlMs, maxSize = DEFAULT_MAX_SIZE }) {
+  // Map<key, {value: any, expiresAt: number}>
+  const entries = new Map();
+
+  return {
+    // Returns undefined for keys that were never set or have expired
+    get(key, currentTime = Date.now()) {
+      const entry = entries.get(key);
+
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= currentTime) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      return entry.value;
+    },
+    set(key, value, currentTime = Date.now()) {
+      setBounded(
+        entries,
+        key,
+        { value, expiresAt: currentTime + ttlMs },
+        maxSize,
+      );
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+module.exports = { createTtlCache, setBounded };
@@ -0,0 +1,92 @@
+/**
+ * Client Status
+ *
+ * - Lets us suspend or block an abusive client at the edge without touching their rate limit bucket.
+ * - Stored on the client's item in the rate limit table: `status` (active | suspended | blocked),
+ *   `statusReason` and an optional `statusExpiresAt` (epoch seconds) after which the client is active again.
+ * - The same item can hold `allowedCidrs`, a list of source ranges the client's credentials may be used from.
+ * - Its stored `maxTokens`, `refillRate` and `refillInterval` are returned as `limits`, for rate limiters that
+ *   keep their buckets outside the table and would otherwise need a read of their own.
+ * - Cached in memory so the check doesn't add a DynamoDB read to every request.
+ */
+const { GetItemCommand } = require("@aws-sdk/client-dynamodb");
+const { parseCidr } = require("./ipAddress");
+const { error } = require("./logger");
+const { createTtlCache } = require("./cache");
+
+// Cached {status: string, reason: string|null, expiresAt: number|null, allowedCidrs: object[]|null, limits: object} by clientId
+const statusCache = createTtlCache({ ttlMs: 30000 });
+const STATUSES = ["active", "suspended", "blocked"];
+
+// Accepts a string set or a list of strings. Entries that don't parse are dropped, so an
+// allowlist with only bad entries denies everything rather than silently allowing all.
+function parseAllowedCidrs(attribute, clientId) {
+  const cidrs = attribute?.SS ?? attribute?.L?.map((value) => value.S);
+
+  if (!cidrs) return null;
+
+  return cidrs.flatMap((cidr) => {
+    const range = parseCidr(cidr);
+
+    if (!range) {
+      error("Ignoring invalid CIDR in client allowlist:", { clientId, cidr });
+      return [];
+    }
+
+    return [range];
+  });
+}
+
+function parseStatus(item, clientId) {
+  const status = item?.status?.S;
+  const expiresAt = Number(item?.statusExpiresAt?.N) || null;
+
+  return {
+    // Unknown values are treated as active so a typo can't lock a client out
+    status: STATUSES.includes(status) ? status : "active",
+    reason: item?.statusReason?.S ?? null,
+    expiresAt,
+    allowedCidrs: parseAllowedCidrs(item?.allowedCidrs, clientId),
+    // Left unsanitised, like limits read straight from the item, for the rate limiter to validate
+    limits: {
+      maxTokens: item?.maxTokens?.N,
+      refillRate: item?.refillRate?.N,
+      refillInterval: item?.refillInterval?.N,
+    },
+  };
+}
+
+async function getClientStatus(ddbClient, table, clientId) {
+  const currentTime = Date.now();
+  let cached = statusCache.get(clientId, currentTime);
+
+  if (!cached) {
+    const getParams = {
+      TableName: table,
+      Key: { clientId: { S: clientId } },
+      ProjectionExpression:
+        "#status, statusReason, statusExpiresAt, allowedCidrs, maxTokens, refillRate, refillInterval",
+      ExpressionAttributeNames: { "#status": "status" },
+    };
+    const getResult = await ddbClient.send(new GetItemCommand(getParams));
+
+    cached = parseStatus(getResult.Item, clientId);
+    statusCache.set(clientId, cached, currentTime);
+  }
+
+  const { status, reason, expiresAt, allowedCidrs, limits } = cached;
+
+  if (status !== "active" && expiresAt && expiresAt * 1000 <= currentTime) {
+    return {
+      status: "active",
+      reason: null,
+      expiresAt: null,
+      allowedCidrs,
+      limits,
+    };
+  }
+
+  return { status, reason, expiresAt, allowedCidrs, limits };
+}
+
+module.exports = { getClientStatus, statusCache };
@@ -0,0 +1,155 @@
+/**
+ * CORS Policy
+ *
+ * - Answers browser preflights (`OPTIONS` with `Access-Control-Request-Method`) at the edge, since they never carry credentials.
+ *   Preflights that no rule covers are left for the origin to answer.
+ * - Adds CORS headers to generated error responses so a browser lets the calling script read the 401/403/429.
+ * - Each rule lists allowed origins for either a set of paths or everything a scope grants.
+ *   Origins are exact (`https://www.example.com`), a subdomain wildcard (`https://*.example.com`) or `*`.
+ */
+const { compilePathPattern, matchPath } = require("./pathPattern");
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compileOrigin(origin) {
+  if (origin === "*") return { any: true };
+
+  const pattern = escapeRegExp(origin.toLowerCase()).replace(
+    "\\*\\.",
+    "[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.",
+  );
+
+  return { regex: new RegExp(`^${pattern}$`) };
+}
+
+// `scopeAllows(scope, path, method)` lets rules reuse a scope's paths without duplicating them
+function compileRule(rule, scopeAllows) {
+  const methods = rule.methods?.map((method) => method.toUpperCase()) ?? null;
+  const paths = (rule.paths || []).map((pattern) =>
+    compilePathPattern(pattern),
+  );
+  const matches = rule.scope
+    ? (path, method) => scopeAllows(rule.scope, path, method)
+    : (path, method) =>
+        paths.some((matcher) => matchPath(matcher, path)) &&
+        (!methods || methods.includes(method));
+
+  return {
+    matches,
+    origins: (rule.origins || []).map(compileOrigin),
+  };
+}
+
+// Returns null when no CORS policy is configured, leaving preflights to the origin
+function compileCorsPolicy(corsConfig, scopeAllows) {
+  if (!corsConfig) return null;
+
+  return {
+    rules: (corsConfig.rules || []).map((rule) =>
+      compileRule(rule, scopeAllows),
+    ),
+    allowedHeaders: corsConfig.allowedHeaders || [],
+    exposedHeaders: corsConfig.exposedHeaders || [],
+    maxAgeSeconds: corsConfig.maxAgeSeconds ?? 600,
+  };
+}
+
+function originAllowed(rule, origin) {
+  const normalised = origin.toLowerCase();
+
+  return rule.origins.some(
+    (allowed) => allowed.any || allowed.regex.test(normalised),
+  );
+}
+
+function isCovered(policy, path, method) {
+  return policy.rules.some((rule) => rule.matches(path, method.toUpperCase()));
+}
+
+function isAllowed(policy, origin, path, method) {
+  return policy.rules.some(
+    (rule) =>
+      rule.matches(path, method.toUpperCase()) && originAllowed(rule, origin),
+  );
+}
+
+function header(key, value) {
+  return [{ key, value }];
+}
+
+// Headers for a generated response to an actual (non-preflight) request
+function corsHeaders(policy, origin, path, method) {
+  if (!policy || !origin) return {};
+
+  const headers = { vary: header("Vary", "Origin") };
+
+  if (!isAllowed(policy, origin, path, method)) return headers;
+
+  headers["access-control-allow-origin"] = header(
+    "Access-Control-Allow-Origin",
+    origin,
+  );
+
+  if (policy.exposedHeaders.length > 0) {
+    headers["access-control-expose-headers"] = header(
+      "Access-Control-Expose-Headers",
+      policy.exposedHeaders.join(", "),
+    );
+  }
+
+  return headers;
+}
+
+function isPreflight(request) {
+  return (
+    request.method === "OPTIONS" &&
+    Boolean(request.headers["origin"]?.[0]?.value) &&
+    Boolean(request.headers["access-control-request-method"]?.[0]?.value)
+  );
+}
+
+// Returns the response for a preflight, or null if the request isn't one or no rule covers it
+function preflightResponse(policy, request, path) {
+  if (!policy || !isPreflight(request)) return null;
+
+  const origin = request.headers["origin"][0].value;
+  const requestMethod =
+    request.headers["access-control-request-method"][0].value;
+
+  if (!isCovered(policy, path, requestMethod)) return null;
+
+  const headers = { vary: header("Vary", "Origin") };
+
+  // A preflight from an origin the covering rules don't list gets no CORS headers, which the browser treats as a refusal
+  if (isAllowed(policy, origin, path, requestMethod)) {
+    headers["access-control-allow-origin"] = header(
+      "Access-Control-Allow-Origin",
+      origin,
+    );
+    headers["access-control-allow-methods"] = header(
+      "Access-Control-Allow-Methods",
+      requestMethod.toUpperCase(),
+    );
+    if (policy.allowedHeaders.length > 0) {
+      headers["access-control-allow-headers"] = header(
+        "Access-Control-Allow-Headers",
+        policy.allowedHeaders.join(", "),
+      );
+    }
+    headers["access-control-max-age"] = header(
+      "Access-Control-Max-Age",
+      policy.maxAgeSeconds.toString(),
+    );
+  }
+
+  return { status: "204", statusDescription: "No Content", headers };
+}
+
+module.exports = {
+  compileCorsPolicy,
+  corsHeaders,
+  isPreflight,
+  preflightResponse,
+};
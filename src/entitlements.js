@@ -0,0 +1,99 @@
+/**
+ * Client Entitlements
+ *
+ * - Per-client overrides of what a token's `scope` claim grants, so support staff can change a client's
+ *   access immediately instead of editing its Cognito app client and waiting for tokens to refresh.
+ * - Stored by `clientId` in the entitlements table: `grantedScopes` and `deniedScopes` adjust the token's scopes,
+ *   `allowedPaths` grant access outright and `excludedPaths` deny it, whatever the scopes say.
+ * - Lookups (including misses) are cached briefly in memory, which bounds how long a change takes to apply.
+ */
+const { GetItemCommand } = require("@aws-sdk/client-dynamodb");
+const { compilePathPattern } = require("./pathPattern");
+const { error } = require("./logger");
+const { createTtlCache } = require("./cache");
+
+// Cached entitlements by clientId, or null for clients without overrides
+const entitlementsCache = createTtlCache({ ttlMs: 30000 });
+
+// Accepts a string set or a list of strings
+function stringList(attribute) {
+  return attribute?.SS ?? attribute?.L?.flatMap((value) => value.S ?? []) ?? [];
+}
+
+// A path rule is a pattern for every method, or a map of { path, methods } like the SCOPES config.
+// Rules that don't compile are logged and dropped.
+function compilePathRule(value, clientId) {
+  const path = value.S ?? value.M?.path?.S;
+  const methods = value.M?.methods ? stringList(value.M.methods) : null;
+
+  try {
+    return [
+      {
+        matcher: compilePathPattern(path),
+        methods: methods?.map((method) => method.toUpperCase()) ?? null,
+      },
+    ];
+  } catch (err) {
+    error("Ignoring invalid path in client entitlements:", {
+      clientId,
+      path,
+      reason: err.message,
+    });
+    return [];
+  }
+}
+
+function compilePathRules(attribute, clientId) {
+  const values = attribute?.SS?.map((path) => ({ S: path })) ?? attribute?.L;
+
+  return (values || []).flatMap((value) => compilePathRule(value, clientId));
+}
+
+function parseEntitlements(item, clientId) {
+  if (!item) return null;
+
+  return {
+    grantedScopes: stringList(item.grantedScopes),
+    deniedScopes: stringList(item.deniedScopes),
+    allowedPaths: compilePathRules(item.allowedPaths, clientId),
+    excludedPaths: compilePathRules(item.excludedPaths, clientId),
+  };
+}
+
+// Returns null when the client has no overrides
+async function getClientEntitlements(ddbClient, table, clientId) {
+  const cached = entitlementsCache.get(clientId);
+
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const getParams = {
+    TableName: table,
+    Key: { clientId: { S: clientId } },
+    ProjectionExpression:
+      "grantedScopes, deniedScopes, allowedPaths, excludedPaths",
+  };
+  const getResult = await ddbClient.send(new GetItemCommand(getParams));
+  const entitlements = parseEntitlements(getResult.Item, clientId);
+
+  entitlementsCache.set(clientId, entitlements);
+
+  return entitlements;
+}
+
+// Merges the token's scope claim with the client's grants and denials. Denials win.
+function effectiveScopes(scope, entitlements) {
+  if (!entitlements) return scope;
+
+  const scopeList = scope ? scope.split(" ") : [];
+  const merged = new Set([...scopeList, ...entitlements.grantedScopes]);
+
+  for (const denied of entitlements.deniedScopes) {
+    merged.delete(denied);
+  }
+
+  return Array.from(merged).join(" ");
+}
+
+module.exports = { getClientEntitlements, effectiveScopes, entitlementsCache };
@@ -0,0 +1,332 @@
+/**
+ * Error Catalogue
+ *
+ * - Every response generated at the edge carries a stable, machine-readable `code` and a link to its documentation.
+ * - Codes are part of our public contract: add new ones rather than changing the meaning of existing ones.
+ * - 401/403 codes also declare their RFC 6750 challenge so the `WWW-Authenticate` header always agrees with the body.
+ * - The same error is rendered as JSON:API, RFC 9457 problem+json or a GOV.UK styled HTML page depending on `Accept`.
+ * - Titles and details come from the message catalogue in the viewer's language (`Accept-Language`).
+ *   Challenge descriptions stay in English as RFC 6750 limits them to ASCII.
+ */
+const {
+  JwtParseError,
+  JwtExpiredError,
+  JwtNotBeforeError,
+  JwtInvalidSignatureError,
+  JwtInvalidSignatureAlgorithmError,
+  JwtWithoutValidKidError,
+  KidNotFoundInJwksError,
+  JwtInvalidIssuerError,
+  CognitoJwtInvalidTokenUseError,
+  CognitoJwtInvalidClientIdError,
+  JwtInvalidClaimError,
+  FetchError,
+  JwksNotAvailableInCacheError,
+} = require("aws-jwt-verify/error");
+const config = require("./config.json");
+const { MESSAGES, LANGUAGES, DEFAULT_LANGUAGE } = require("./messages");
+const { negotiateFormat, negotiateLanguage } = require("./negotiation");
+
+const ERROR_DOCS_URL = config.ERROR_DOCS_URL;
+const REALM = "trade-tariff";
+// HTTP reason phrases, which are always English
+const STATUS_DESCRIPTIONS = {
+  400: "Bad Request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  429: "Too Many Requests",
+  503: "Service Unavailable",
+};
+
+// challenge: null for no WWW-Authenticate header, "" for a plain Bearer challenge,
+// otherwise the RFC 6750 error code along with a short description.
+const ERROR_CODES = {
+  path_malformed: {
+    status: 400,
+    challenge: null,
+  },
+  reserved_header: {
+    status: 400,
+    challenge: null,
+  },
+  // RFC 6750 section 3.1: no error code when the request had no credentials at all
+  authentication_required: {
+    status: 401,
+    challenge: "",
+  },
+  credentials_unsupported: {
+    status: 401,
+    challenge: "",
+  },
+  token_malformed: {
+    status: 401,
+    challenge: "invalid_token",
+    description: "The access token is malformed",
+  },
+  token_expired: {
+    status: 401,
+    challenge: "invalid_token",
+    description: "The access token has expired",
+  },
+  token_not_yet_valid: {
+    status: 401,
+    challenge: "invalid_token",
+    description: "The access token is not valid yet",
+  },
+  token_signature_invalid: {
+    status: 401,
+    challenge: "invalid_token",
+    description: "The access token signature is invalid",
+  },
+  token_issuer_untrusted: {
+    status: 401,
+    challenge: "invalid_token",
+    description: "The access token issuer is not trusted",
+  },
+  token_use_invalid: {
+    status: 401,
+    challenge: "invalid_token",
+    description: "The token is not an access token",
+  },
+  token_claims_invalid: {
+    status: 401,
+    challenge: "invalid_token",
+    description: "The access token claims are invalid",
+  },
+  token_invalid: {
+    status: 401,
+    challenge: "invalid_token",
+    description: "The access token is invalid or has expired",
+  },
+  client_id_missing: {
+    status: 401,
+    challenge: "invalid_token",
+    description: "The access token does not identify a client",
+  },
+  client_not_allowed: {
+    status: 401,
+    challenge: "invalid_token",
+    description: "The access token was issued to a client that is not allowed",
+  },
+  token_revoked: {
+    status: 401,
+    challenge: "invalid_token",
+    description: "The access token has been revoked",
+  },
+  api_key_invalid: {
+    status: 401,
+    challenge: "",
+  },
+  client_suspended: {
+    status: 403,
+    challenge: null,
+  },
+  client_blocked: {
+    status: 403,
+    challenge: null,
+  },
+  client_ip_not_allowed: {
+    status: 403,
+    challenge: null,
+  },
+  scope_insufficient: {
+    status: 403,
+    challenge: "insufficient_scope",
+    description: "The access token does not grant access to this resource",
+  },
+  rate_limited: {
+    status: 429,
+    challenge: null,
+  },
+  auth_unavailable: {
+    status: 503,
+    challenge: null,
+  },
+  limiter_unavailable: {
+    status: 503,
+    challenge: null,
+  },
+};
+
+function bearerChallenge({ challenge, description }, scope) {
+  const attributes = [`realm="${REALM}"`];
+
+  if (challenge) {
+    attributes.push(`error="${challenge}"`);
+    attributes.push(`error_description="${description}"`);
+  }
+  if (scope) attributes.push(`scope="${scope}"`);
+
+  return `Bearer ${attributes.join(", ")}`;
+}
+
+const CONTENT_TYPES = {
+  jsonapi: "application/vnd.api+json",
+  problem: "application/problem+json",
+  html: "text/html; charset=utf-8",
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function errorModel(code, meta, language) {
+  const { status } = ERROR_CODES[code];
+  const messages = MESSAGES[language];
+
+  return {
+    status,
+    code,
+    title: messages.titles[status],
+    detail: messages.details[code],
+    about: `${ERROR_DOCS_URL}#${code}`,
+    meta,
+    language,
+    page: messages.page,
+  };
+}
+
+function jsonApiBody({ status, code, title, detail, about, meta }) {
+  const errorObject = {
+    status: status.toString(),
+    code,
+    title,
+    detail,
+    links: { about },
+  };
+
+  if (meta) errorObject.meta = meta;
+
+  return JSON.stringify({ errors: [errorObject] });
+}
+
+// RFC 9457: `code` and any meta are extension members
+function problemBody({ status, code, title, detail, about, meta }) {
+  return JSON.stringify({
+    type: about,
+    title,
+    status,
+    detail,
+    code,
+    ...meta,
+  });
+}
+
+function htmlBody({ status, title, detail, about, language, page }) {
+  return `<!DOCTYPE html>
+<html lang="${language}" class="govuk-template">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - ${escapeHtml(page.service)} - GOV.UK</title>
+<style>
+body{margin:0;font-family:Arial,sans-serif;color:#0b0c0c;background:#fff}
+.govuk-header{background:#0b0c0c;color:#fff;padding:10px 15px;font-weight:700;border-bottom:10px solid #1d70b8}
+.govuk-main-wrapper{max-width:960px;margin:0 auto;padding:40px 15px}
+.govuk-heading-l{font-size:2.25rem;margin:0 0 30px}
+.govuk-body{font-size:1.1875rem;line-height:1.3}
+.govuk-link{color:#1d70b8}
+</style>
+</head>
+<body>
+<header class="govuk-header">GOV.UK</header>
+<main class="govuk-main-wrapper" id="main-content">
+<h1 class="govuk-heading-l">${escapeHtml(title)}</h1>
+<p class="govuk-body">${escapeHtml(detail)}</p>
+<p class="govuk-body">${escapeHtml(page.error)} ${escapeHtml(status)}. <a class="govuk-link" href="${escapeHtml(about)}">${escapeHtml(page.about)}</a></p>
+</main>
+</body>
+</html>
+`;
+}
+
+const RENDERERS = {
+  jsonapi: jsonApiBody,
+  problem: problemBody,
+  html: htmlBody,
+};
+
+function errorBody(
+  code,
+  { meta, format = "jsonapi", language = DEFAULT_LANGUAGE } = {},
+) {
+  return RENDERERS[format](errorModel(code, meta, language));
+}
+
+// Builds a CloudFront generated response for a catalogued error.
+// `scope` lists the scopes that would satisfy an insufficient_scope challenge.
+// `accept` and `acceptLanguage` are the viewer's headers, used to pick the body format and language.
+function errorResponse(
+  code,
+  { headers = {}, meta, scope, accept, acceptLanguage } = {},
+) {
+  const entry = ERROR_CODES[code];
+  const format = negotiateFormat(accept);
+  const language = negotiateLanguage(
+    acceptLanguage,
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+  );
+  const responseHeaders = {
+    ...headers,
+    "content-type": [{ key: "Content-Type", value: CONTENT_TYPES[format] }],
+    "content-language": [{ key: "Content-Language", value: language }],
+    // Generated responses are specific to the caller's credentials
+    "cache-control": [{ key: "Cache-Control", value: "no-store" }],
+  };
+
+  if (entry.challenge !== null) {
+    responseHeaders["www-authenticate"] = [
+      { key: "WWW-Authenticate", value: bearerChallenge(entry, scope) },
+    ];
+  }
+
+  return {
+    status: entry.status.toString(),
+    statusDescription: STATUS_DESCRIPTIONS[entry.status],
+    headers: responseHeaders,
+    body: errorBody(code, { meta, format, language }),
+  };
+}
+
+// Maps a failure from token verification onto the most specific code.
+// Anything that isn't a JWT error (e.g. a bug in a verifier) is reported as token_invalid.
+function tokenErrorCode(err) {
+  if (
+    err instanceof FetchError ||
+    err instanceof JwksNotAvailableInCacheError
+  ) {
+    return "auth_unavailable";
+  }
+  if (err instanceof JwtParseError) return "token_malformed";
+  if (err instanceof JwtExpiredError) return "token_expired";
+  if (err instanceof JwtNotBeforeError) return "token_not_yet_valid";
+  if (
+    err instanceof JwtInvalidSignatureError ||
+    err instanceof JwtInvalidSignatureAlgorithmError ||
+    err instanceof JwtWithoutValidKidError ||
+    err instanceof KidNotFoundInJwksError
+  ) {
+    return "token_signature_invalid";
+  }
+  if (err instanceof JwtInvalidIssuerError) return "token_issuer_untrusted";
+  if (err instanceof CognitoJwtInvalidTokenUseError) return "token_use_invalid";
+  if (err instanceof CognitoJwtInvalidClientIdError) {
+    return "client_not_allowed";
+  }
+  if (err instanceof JwtInvalidClaimError) return "token_claims_invalid";
+
+  return "token_invalid";
+}
+
+module.exports = {
+  ERROR_CODES,
+  errorBody,
+  errorResponse,
+  tokenErrorCode,
+};
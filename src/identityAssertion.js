@@ -0,0 +1,109 @@
+/**
+ * Identity Assertion
+ *
+ * - The `x-client-id` and `x-ratelimit-*` headers could be forged by anyone who reaches the origin without CloudFront.
+ * - So authenticated requests also carry a short-lived compact JWT (HS256) signed with a per-stage secret,
+ *   which the origin can verify to know the identity really came from this Lambda.
+ * - Only depends on Node's crypto module so origin services can reuse `verifyIdentityAssertion` as-is.
+ */
+const crypto = require("crypto");
+
+const ASSERTION_ISSUER = "trade-tariff-lambdas-authenticator";
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+function hmac(secret, signingInput) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(signingInput)
+    .digest("base64url");
+}
+
+// Claims: { clientId, scope, issuer, requestId }
+function signIdentityAssertion(claims, secret, ttlSeconds = 60) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = {
+    iss: ASSERTION_ISSUER,
+    sub: claims.clientId,
+    scope: claims.scope ?? "",
+    idp: claims.issuer,
+    request_id: claims.requestId,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds,
+  };
+  const signingInput = `${encodeSegment(HEADER)}.${encodeSegment(payload)}`;
+
+  return `${signingInput}.${hmac(secret, signingInput)}`;
+}
+
+// Accepts a list of secrets so the signing secret can be rotated without downtime.
+// Returns the payload when the assertion is valid, otherwise throws.
+function verifyIdentityAssertion(
+  assertion,
+  secrets,
+  { clockToleranceSeconds = 5 } = {},
+) {
+  const parts = typeof assertion === "string" ? assertion.split(".") : [];
+
+  if (parts.length !== 3) {
+    throw new Error("Identity assertion is malformed");
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
+  const secretList = Array.isArray(secrets) ? secrets : [secrets];
+  const signatureBuffer = Buffer.from(signature);
+  const isSigned = secretList.some((secret) => {
+    const expected = Buffer.from(hmac(secret, signingInput));
+    return (
+      expected.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expected, signatureBuffer)
+    );
+  });
+
+  if (!isSigned) {
+    throw new Error("Identity assertion signature is invalid");
+  }
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(encodedHeader);
+    payload = decodeSegment(encodedPayload);
+  } catch {
+    throw new Error("Identity assertion is malformed");
+  }
+
+  if (header.alg !== HEADER.alg) {
+    throw new Error(
+      `Identity assertion algorithm ${header.alg} is not allowed`,
+    );
+  }
+  if (payload.iss !== ASSERTION_ISSUER) {
+    throw new Error(`Identity assertion issuer ${payload.iss} is not allowed`);
+  }
+
+  const currentTime = Math.floor(Date.now() / 1000);
+
+  if (!(payload.exp + clockToleranceSeconds > currentTime)) {
+    throw new Error("Identity assertion has expired");
+  }
+  if (!(payload.iat - clockToleranceSeconds <= currentTime)) {
+    throw new Error("Identity assertion was issued in the future");
+  }
+
+  return payload;
+}
+
+module.exports = {
+  signIdentityAssertion,
+  verifyIdentityAssertion,
+  ASSERTION_ISSUER,
+};
@@ -0,0 +1,152 @@
+/**
+ * IP Addresses
+ *
+ * - Parses the viewer address CloudFront gives us (`request.clientIp`) into bytes: 4 for IPv4, 16 for IPv6.
+ * - IPv4-mapped IPv6 addresses (`::ffff:192.0.2.1`) are treated as the IPv4 address they carry.
+ * - IPv6 clients are usually handed a whole /64, so anonymous rate limits aggregate on that prefix
+ *   rather than letting one host rotate through 2^64 addresses.
+ * - CIDR ranges (`203.0.113.0/24`, `2001:db8::/32`) are matched bytewise; an IPv4 range never matches an IPv6 address.
+ */
+
+function parseIpv4(address) {
+  const octets = address.split(".");
+
+  if (octets.length !== 4) return null;
+  if (!octets.every((octet) => /^(0|[1-9]\d{0,2})$/.test(octet))) return null;
+
+  const bytes = octets.map(Number);
+
+  return bytes.every((byte) => byte <= 255) ? bytes : null;
+}
+
+function parseHextets(groups) {
+  if (!groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+
+  return groups.flatMap((group) => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+function splitGroups(groups) {
+  return groups ? groups.split(":") : [];
+}
+
+function parseIpv6(address) {
+  let hextets = address;
+  let tail = [];
+  const lastColon = address.lastIndexOf(":");
+
+  // An embedded IPv4 address fills the last 32 bits
+  if (address.slice(lastColon + 1).includes(".")) {
+    tail = parseIpv4(address.slice(lastColon + 1));
+    if (!tail) return null;
+
+    hextets = address.slice(0, lastColon + 1);
+    if (!hextets.endsWith("::")) hextets = hextets.slice(0, -1);
+  }
+
+  const halves = hextets.split("::");
+
+  if (halves.length > 2) return null;
+
+  const head = parseHextets(splitGroups(halves[0]));
+  const rest = halves.length === 2 ? parseHextets(splitGroups(halves[1])) : [];
+
+  if (!head || !rest) return null;
+
+  const length = head.length + rest.length + tail.length;
+
+  if (halves.length === 1) {
+    return length === 16 ? [...head, ...tail] : null;
+  }
+
+  // "::" must stand for at least one group of zeros
+  if (length > 14) return null;
+
+  return [...head, ...new Array(16 - length).fill(0), ...rest, ...tail];
+}
+
+// Returns { version: 4 | 6, bytes } or null when the address can't be parsed
+function parseIp(address) {
+  if (typeof address !== "string") return null;
+
+  const trimmed = address.trim().replace(/%.*$/, ""); // Drop any IPv6 zone id
+
+  if (!trimmed.includes(":")) {
+    const bytes = parseIpv4(trimmed);
+    return bytes ? { version: 4, bytes } : null;
+  }
+
+  const bytes = parseIpv6(trimmed);
+
+  if (!bytes) return null;
+
+  const isIpv4Mapped =
+    bytes.slice(0, 10).every((byte) => byte === 0) &&
+    bytes[10] === 0xff &&
+    bytes[11] === 0xff;
+
+  if (isIpv4Mapped) return { version: 4, bytes: bytes.slice(12) };
+
+  return { version: 6, bytes };
+}
+
+// Key for an anonymous rate limit bucket: the IPv4 address, or the IPv6 /64 prefix
+function anonymousClientKey(address) {
+  const ip = parseIp(address);
+
+  if (!ip) return null;
+  if (ip.version === 4) return `ip#${ip.bytes.join(".")}`;
+
+  const hextets = [];
+
+  for (let i = 0; i < 8; i += 2) {
+    hextets.push(((ip.bytes[i] << 8) | ip.bytes[i + 1]).toString(16));
+  }
+
+  return `ip#${hextets.join(":")}::/64`;
+}
+
+// Returns { version, bytes, prefixLength } or null. A bare address is a single-host range.
+function parseCidr(cidr) {
+  if (typeof cidr !== "string") return null;
+
+  const [address, prefix, ...rest] = cidr.trim().split("/");
+  const ip = parseIp(address);
+
+  if (!ip || rest.length > 0) return null;
+
+  const maxLength = ip.bytes.length * 8;
+
+  if (prefix === undefined) return { ...ip, prefixLength: maxLength };
+  if (!/^\d{1,3}$/.test(prefix) || Number(prefix) > maxLength) return null;
+
+  return { ...ip, prefixLength: Number(prefix) };
+}
+
+function inRange(ip, range) {
+  if (ip.version !== range.version) return false;
+
+  const fullBytes = Math.floor(range.prefixLength / 8);
+  const remainingBits = range.prefixLength % 8;
+
+  for (let i = 0; i < fullBytes; i++) {
+    if (ip.bytes[i] !== range.bytes[i]) return false;
+  }
+
+  if (remainingBits === 0) return true;
+
+  const mask = (0xff << (8 - remainingBits)) & 0xff;
+
+  return (ip.bytes[fullBytes] & mask) === (range.bytes[fullBytes] & mask);
+}
+
+// Expects ranges from parseCidr. An unparseable address is never in range.
+function isIpInRanges(address, ranges) {
+  const ip = parseIp(address);
+
+  return Boolean(ip) && ranges.some((range) => inRange(ip, range));
+}
+
+module.exports = { parseIp, parseCidr, isIpInRanges, anonymousClientKey };
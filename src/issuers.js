@@ -0,0 +1,149 @@
+/**
+ * Trusted Token Issuers
+ *
+ * - Each issuer is either a Cognito user pool (`userPoolId`) or a generic OIDC provider (`issuer` + `jwksUri`).
+ * - The verifier is chosen from the token's unverified `iss` claim; the signature is then checked against that issuer only.
+ * - Optional per-issuer `scopeMapping` translates partner scopes into ours. When present, unmapped scopes are dropped.
+ * - Verifiers can be primed from a JWKS snapshot taken at deploy time, so a cold start doesn't wait on a fetch.
+ *   aws-jwt-verify still fetches the live JWKS when a token's `kid` isn't in the snapshot (i.e. after key rotation).
+ */
+const { CognitoJwtVerifier, JwtVerifier } = require("aws-jwt-verify");
+const { decomposeUnverifiedJwt } = require("aws-jwt-verify/jwt");
+const {
+  JwtInvalidClaimError,
+  JwtInvalidIssuerError,
+} = require("aws-jwt-verify/error");
+const { warn } = require("./logger");
+
+function createIssuer(issuerConfig) {
+  // `tokenUse: null` skips the check, for issuers whose tokens carry no `token_use` claim
+  const tokenUse =
+    "tokenUse" in issuerConfig ? issuerConfig.tokenUse : "access";
+  const clientIdClaim = issuerConfig.clientIdClaim ?? "client_id";
+  const graceSeconds = issuerConfig.graceSeconds ?? 0;
+  let issuer;
+  let verifier;
+
+  if (issuerConfig.userPoolId) {
+    issuer = CognitoJwtVerifier.parseUserPoolId(issuerConfig.userPoolId).issuer;
+    verifier = CognitoJwtVerifier.create({
+      userPoolId: issuerConfig.userPoolId,
+      tokenUse,
+      clientId: null,
+      graceSeconds,
+    });
+  } else {
+    if (!issuerConfig.issuer || !issuerConfig.jwksUri) {
+      throw new Error(
+        `Issuer ${issuerConfig.name} needs a userPoolId, or an issuer and jwksUri`,
+      );
+    }
+
+    issuer = issuerConfig.issuer;
+    verifier = JwtVerifier.create({
+      issuer,
+      jwksUri: issuerConfig.jwksUri,
+      audience: issuerConfig.audience ?? null,
+      graceSeconds,
+      customJwtCheck: ({ payload }) => {
+        if (tokenUse && payload.token_use !== tokenUse) {
+          throw new JwtInvalidClaimError(
+            `Token use ${payload.token_use} is not allowed, expected ${tokenUse}`,
+            payload.token_use,
+            tokenUse,
+          );
+        }
+      },
+    });
+  }
+
+  return {
+    name: issuerConfig.name ?? issuer,
+    issuer,
+    verifier,
+    clientIdClaim,
+    scopeMapping: issuerConfig.scopeMapping ?? null,
+  };
+}
+
+// Build the issuer lookup once at module load: Map<iss, issuer>
+function buildIssuers(issuerConfigs) {
+  const issuers = new Map();
+
+  for (const issuerConfig of issuerConfigs) {
+    const issuer = createIssuer(issuerConfig);
+
+    if (issuers.has(issuer.issuer)) {
+      throw new Error(`Issuer ${issuer.issuer} is configured more than once`);
+    }
+
+    issuers.set(issuer.issuer, issuer);
+  }
+
+  return issuers;
+}
+
+// Snapshot: { [iss]: { keys: [...] } }, as written by the configure step to src/jwks.json.
+// A bad entry only costs a live fetch, so it is logged rather than failing the module load.
+function primeIssuers(issuers, snapshot) {
+  for (const [iss, jwks] of Object.entries(snapshot || {})) {
+    const issuer = issuers.get(iss);
+
+    if (!issuer) continue;
+
+    if (!Array.isArray(jwks?.keys)) {
+      warn("Ignoring malformed JWKS snapshot", { issuer: iss });
+      continue;
+    }
+
+    issuer.verifier.cacheJwks(jwks);
+  }
+}
+
+// With a single issuer there is nothing to choose, and the verifier checks `iss` itself.
+function selectIssuer(issuers, token) {
+  if (issuers.size === 1) {
+    return issuers.values().next().value;
+  }
+
+  const { payload } = decomposeUnverifiedJwt(token);
+  const issuer = issuers.get(payload.iss);
+
+  if (!issuer) {
+    throw new JwtInvalidIssuerError(
+      `Token issuer ${payload.iss} is not trusted`,
+      payload.iss,
+      Array.from(issuers.keys()),
+    );
+  }
+
+  return issuer;
+}
+
+function mapScopes(scope, scopeMapping) {
+  const scopeList = scope ? scope.split(" ") : [];
+
+  if (!scopeMapping) return scope;
+
+  return scopeList
+    .flatMap((tokenScope) => scopeMapping[tokenScope] ?? [])
+    .join(" ");
+}
+
+// Normalise a verified payload so callers can rely on `client_id`, `scope`
+// and `issuer_name` whichever issuer signed the token.
+function normalisePayload(issuer, payload) {
+  return {
+    ...payload,
+    client_id: payload[issuer.clientIdClaim],
+    scope: mapScopes(payload.scope, issuer.scopeMapping),
+    issuer_name: issuer.name,
+  };
+}
+
+module.exports = {
+  buildIssuers,
+  primeIssuers,
+  selectIssuer,
+  normalisePayload,
+};
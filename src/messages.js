@@ -0,0 +1,113 @@
+/**
+ * Message Catalogue
+ *
+ * - Human readable text for generated error responses, keyed by language then error code.
+ * - As a GOV.UK service we offer Welsh (`cy`) alongside English (`en`). English is the fallback.
+ * - Every language must translate every code in `src/errors.js`; the tests check the catalogues match.
+ */
+const DEFAULT_LANGUAGE = "en";
+
+const HUB_URL = "https://hub.trade-tariff.service.gov.uk";
+
+const MESSAGES = {
+  en: {
+    titles: {
+      400: "Bad Request",
+      401: "Unauthorized",
+      403: "Forbidden",
+      429: "Too Many Requests",
+      503: "Service Unavailable",
+    },
+    details: {
+      path_malformed:
+        "The request path is malformed or uses an ambiguous encoding. Please check the URL and try again.",
+      reserved_header:
+        "The request includes headers that are reserved for internal use. Please remove any X-Client-*, X-RateLimit-* and X-Identity-Assertion headers and try again.",
+      authentication_required: `This resource requires authentication. Please sign up to the service to obtain valid credentials at ${HUB_URL}.`,
+      credentials_unsupported: `The Authorization header must use the Bearer scheme. Please sign up to the service to obtain valid credentials at ${HUB_URL}.`,
+      token_malformed: "The access token is malformed and could not be read.",
+      token_expired:
+        "The access token has expired. Please request a new access token.",
+      token_not_yet_valid:
+        "The access token is not valid yet. Please check your system clock and try again.",
+      token_signature_invalid:
+        "The access token signature could not be verified.",
+      token_issuer_untrusted:
+        "The access token was not issued by a trusted identity provider.",
+      token_use_invalid:
+        "The token is not an access token. Please send the access token from the client credentials flow, not an ID token.",
+      token_claims_invalid:
+        "The access token contains claims that are not accepted.",
+      token_invalid: `Authentication credentials were missing, incorrect or expired. Please sign up to the service to obtain valid credentials at ${HUB_URL}.`,
+      client_id_missing: "The access token does not identify a client.",
+      client_not_allowed: `The access token was issued to an app client that is not allowed to use this service. Please contact support at ${HUB_URL} if the problem persists.`,
+      token_revoked: `The access token has been revoked. Please request a new access token. Please contact support at ${HUB_URL} if the problem persists.`,
+      api_key_invalid: `The API key is not recognised. Please contact support at ${HUB_URL} if the problem persists.`,
+      client_suspended: `Your access to this service has been temporarily suspended. Please contact support at ${HUB_URL}.`,
+      client_blocked: `Your access to this service has been blocked. Please contact support at ${HUB_URL}.`,
+      client_ip_not_allowed: `These credentials cannot be used from your network address. Please contact support at ${HUB_URL} if you need to add an address range.`,
+      scope_insufficient: `You do not have permission to access this resource. Request access by signing up to the service at ${HUB_URL}.`,
+      rate_limited:
+        "You have exceeded your rate limit. Please try your request again later.",
+      auth_unavailable: `Your credentials could not be checked right now. Please try your request again later. Please contact support at ${HUB_URL} if the problem persists.`,
+      limiter_unavailable: `Your rate limit could not be checked right now. Please try your request again later. Please contact support at ${HUB_URL} if the problem persists.`,
+    },
+    page: {
+      service: "UK Integrated Online Tariff",
+      error: "Error",
+      about: "What this error means",
+    },
+  },
+  cy: {
+    titles: {
+      400: "Cais gwael",
+      401: "Heb awdurdod",
+      403: "Gwaharddedig",
+      429: "Gormod o geisiadau",
+      503: "Gwasanaeth ddim ar gael",
+    },
+    details: {
+      path_malformed:
+        "Mae llwybr y cais wedi'i ffurfio'n anghywir neu'n defnyddio amgodiad amwys. Gwiriwch yr URL a rhowch gynnig arall arni.",
+      reserved_header:
+        "Mae'r cais yn cynnwys penynnau sydd wedi'u cadw at ddefnydd mewnol. Tynnwch unrhyw benynnau X-Client-*, X-RateLimit-* ac X-Identity-Assertion a rhowch gynnig arall arni.",
+      authentication_required: `Mae angen dilysu i gael mynediad at yr adnodd hwn. Cofrestrwch ar gyfer y gwasanaeth i gael manylion dilys yn ${HUB_URL}.`,
+      credentials_unsupported: `Rhaid i'r pennyn Authorization ddefnyddio'r cynllun Bearer. Cofrestrwch ar gyfer y gwasanaeth i gael manylion dilys yn ${HUB_URL}.`,
+      token_malformed:
+        "Mae'r tocyn mynediad wedi'i ffurfio'n anghywir ac nid oedd modd ei ddarllen.",
+      token_expired:
+        "Mae'r tocyn mynediad wedi dod i ben. Gofynnwch am docyn mynediad newydd.",
+      token_not_yet_valid:
+        "Nid yw'r tocyn mynediad yn ddilys eto. Gwiriwch gloc eich system a rhowch gynnig arall arni.",
+      token_signature_invalid: "Nid oedd modd gwirio llofnod y tocyn mynediad.",
+      token_issuer_untrusted:
+        "Ni chafodd y tocyn mynediad ei gyhoeddi gan ddarparwr hunaniaeth dibynadwy.",
+      token_use_invalid:
+        "Nid tocyn mynediad yw'r tocyn hwn. Anfonwch y tocyn mynediad o'r llif manylion cleient, nid tocyn adnabod.",
+      token_claims_invalid:
+        "Mae'r tocyn mynediad yn cynnwys hawliadau nad ydynt yn cael eu derbyn.",
+      token_invalid: `Roedd y manylion dilysu ar goll, yn anghywir neu wedi dod i ben. Cofrestrwch ar gyfer y gwasanaeth i gael manylion dilys yn ${HUB_URL}.`,
+      client_id_missing: "Nid yw'r tocyn mynediad yn nodi cleient.",
+      client_not_allowed: `Cafodd y tocyn mynediad ei gyhoeddi i gleient ap nad yw'n cael defnyddio'r gwasanaeth hwn. Cysylltwch â'r tîm cymorth yn ${HUB_URL} os bydd y broblem yn parhau.`,
+      token_revoked: `Mae'r tocyn mynediad wedi'i ddirymu. Gofynnwch am docyn mynediad newydd. Cysylltwch â'r tîm cymorth yn ${HUB_URL} os bydd y broblem yn parhau.`,
+      api_key_invalid: `Nid yw'r allwedd API yn cael ei hadnabod. Cysylltwch â'r tîm cymorth yn ${HUB_URL} os bydd y broblem yn parhau.`,
+      client_suspended: `Mae eich mynediad i'r gwasanaeth hwn wedi'i atal dros dro. Cysylltwch â'r tîm cymorth yn ${HUB_URL}.`,
+      client_blocked: `Mae eich mynediad i'r gwasanaeth hwn wedi'i rwystro. Cysylltwch â'r tîm cymorth yn ${HUB_URL}.`,
+      client_ip_not_allowed: `Ni ellir defnyddio'r manylion hyn o gyfeiriad eich rhwydwaith. Cysylltwch â'r tîm cymorth yn ${HUB_URL} os oes angen i chi ychwanegu ystod o gyfeiriadau.`,
+      scope_insufficient: `Nid oes gennych ganiatâd i gael mynediad at yr adnodd hwn. Gofynnwch am fynediad drwy gofrestru ar gyfer y gwasanaeth yn ${HUB_URL}.`,
+      rate_limited:
+        "Rydych wedi mynd dros eich terfyn cyfradd. Rhowch gynnig arall ar eich cais yn nes ymlaen.",
+      auth_unavailable: `Nid oedd modd gwirio eich manylion ar hyn o bryd. Rhowch gynnig arall ar eich cais yn nes ymlaen. Cysylltwch â'r tîm cymorth yn ${HUB_URL} os bydd y broblem yn parhau.`,
+      limiter_unavailable: `Nid oedd modd gwirio eich terfyn cyfradd ar hyn o bryd. Rhowch gynnig arall ar eich cais yn nes ymlaen. Cysylltwch â'r tîm cymorth yn ${HUB_URL} os bydd y broblem yn parhau.`,
+    },
+    page: {
+      service: "Tariff Ar-lein Integredig y DU",
+      error: "Gwall",
+      about: "Beth mae'r gwall hwn yn ei olygu",
+    },
+  },
+};
+
+const LANGUAGES = Object.keys(MESSAGES);
+
+module.exports = { MESSAGES, LANGUAGES, DEFAULT_LANGUAGE };
@@ -0,0 +1,76 @@
+/**
+ * Content Negotiation
+ *
+ * - Parses `Accept` and `Accept-Language` quality lists (RFC 9110 section 12.5) for generated responses.
+ * - Generated responses are never refused, so anything we can't satisfy falls back to a default rather than a 406.
+ */
+
+// Listed in order of preference, used to break ties between equally acceptable types
+const FORMATS = [
+  { format: "jsonapi", mediaType: "application/vnd.api+json" },
+  { format: "jsonapi", mediaType: "application/json" },
+  { format: "problem", mediaType: "application/problem+json" },
+  { format: "html", mediaType: "text/html" },
+];
+
+// Parses "a;q=0.5, b" into [{value: "a", q: 0.5}, {value: "b", q: 1}]
+function parseQualityList(header) {
+  return header
+    .split(",")
+    .map((item) => {
+      const [value, ...params] = item.split(";");
+      const qParam = params.find((param) => /^\s*q=/i.test(param));
+      const q = qParam ? Number(qParam.split("=")[1]) : 1;
+
+      return {
+        value: value.trim().toLowerCase(),
+        q: Number.isFinite(q) ? q : 0,
+      };
+    })
+    .filter(({ value }) => value);
+}
+
+// The most specific matching range decides the quality, e.g. "text/html;q=0, */*" rejects HTML
+function mediaTypeQuality(ranges, mediaType) {
+  const [type] = mediaType.split("/");
+  const match =
+    ranges.find(({ value }) => value === mediaType) ??
+    ranges.find(({ value }) => value === `${type}/*`) ??
+    ranges.find(({ value }) => value === "*/*");
+
+  return match?.q ?? 0;
+}
+
+function negotiateFormat(accept) {
+  if (!accept) return "jsonapi";
+
+  const ranges = parseQualityList(accept);
+  let best = { format: "jsonapi", q: 0 };
+
+  for (const { format, mediaType } of FORMATS) {
+    const q = mediaTypeQuality(ranges, mediaType);
+    if (q > best.q) best = { format, q };
+  }
+
+  return best.format;
+}
+
+// Matches on the primary subtag, so "cy-GB" selects "cy". A "*" range selects the fallback.
+function negotiateLanguage(acceptLanguage, languages, fallback) {
+  if (!acceptLanguage) return fallback;
+
+  const ranges = parseQualityList(acceptLanguage)
+    .filter(({ q }) => q > 0)
+    .sort((a, b) => b.q - a.q); // Stable, so equal weights keep the viewer's order
+
+  for (const { value } of ranges) {
+    const [primary] = value.split("-");
+
+    if (primary === "*") return fallback;
+    if (languages.includes(primary)) return primary;
+  }
+
+  return fallback;
+}
+
+module.exports = { negotiateFormat, negotiateLanguage };
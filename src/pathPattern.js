@@ -0,0 +1,83 @@
+/**
+ * Path Patterns
+ *
+ * - Patterns are matched segment by segment, so `/uk/api` never matches `/uk/apix`.
+ * - `*` matches exactly one segment (or part of one, e.g. `*.json`).
+ * - `**` matches zero or more segments.
+ * - `:name` matches one segment and captures it as a named parameter.
+ * - A single trailing slash on the request path is ignored.
+ * - Matching is case-insensitive, so `/XI/API/GREEN_LANES` cannot dodge `/xi/api/green_lanes`.
+ *
+ * Patterns are compiled to regular expressions once, so matching at request time is a single regex test.
+ */
+
+const PARAM_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function escapeRegex(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compileSegment(segment, pattern, paramNames) {
+  if (segment === "**") {
+    return "(?:/[^/]+)*";
+  }
+
+  if (segment === "*") {
+    return "/[^/]+";
+  }
+
+  if (segment.startsWith(":")) {
+    const name = segment.slice(1);
+
+    if (!PARAM_NAME.test(name)) {
+      throw new Error(
+        `Invalid parameter "${segment}" in path pattern ${pattern}`,
+      );
+    }
+    if (paramNames.includes(name)) {
+      throw new Error(
+        `Duplicate parameter "${segment}" in path pattern ${pattern}`,
+      );
+    }
+
+    paramNames.push(name);
+    return `/(?<${name}>[^/]+)`;
+  }
+
+  if (segment === "") {
+    throw new Error(`Empty segment in path pattern ${pattern}`);
+  }
+
+  return `/${segment.split("*").map(escapeRegex).join("[^/]*")}`;
+}
+
+// Compiles a pattern such as `/:service/api/green_lanes/**` into a matcher.
+// Throws on malformed patterns so configuration mistakes surface at module load rather than per request.
+function compilePathPattern(pattern) {
+  if (typeof pattern !== "string" || !pattern.startsWith("/")) {
+    throw new Error(`Path pattern must start with "/": ${pattern}`);
+  }
+
+  const paramNames = [];
+  const trimmed = pattern.length > 1 ? pattern.replace(/\/$/, "") : pattern;
+  const segments = trimmed === "/" ? [] : trimmed.slice(1).split("/");
+  const source = segments
+    .map((segment) => compileSegment(segment, pattern, paramNames))
+    .join("");
+
+  return {
+    pattern,
+    regex: new RegExp(`^${source}/?$`, "i"),
+  };
+}
+
+// Returns the captured parameters when the path matches, otherwise null.
+function matchPath(compiled, path) {
+  const match = compiled.regex.exec(path);
+
+  if (!match) return null;
+
+  return { ...match.groups };
+}
+
+module.exports = { compilePathPattern, matchPath };
@@ -0,0 +1,45 @@
+/**
+ * Rate Limit Inputs
+ *
+ * - Sanitises the limits and request costs every rate limiter is given, whether they come from DynamoDB
+ *   items, config or the caller, so a weighted path costs the same whichever limiter is selected.
+ * - Works out when a bucket can expire, for callers whose buckets shouldn't outlive their use.
+ */
+
+// Falls back to defaultValue for anything that isn't a number, then clamps to the optional bounds
+function sanitizeNumber(
+  value,
+  defaultValue,
+  minValue = undefined,
+  maxValue = undefined,
+) {
+  let num = Number(value);
+  if (isNaN(num)) {
+    return defaultValue;
+  }
+  if (minValue !== undefined && num < minValue) {
+    num = minValue;
+  }
+  if (maxValue !== undefined && num > maxValue) {
+    num = maxValue;
+  }
+  return num;
+}
+
+// Costs are whole units of the limit, and never more than all of it so an expensive request can't be denied forever
+function sanitizeCost(cost, maxCost) {
+  return Math.ceil(sanitizeNumber(cost, 1, 1, maxCost));
+}
+
+// Epoch seconds by which a bucket written at currentTime is full again, even if it was left empty.
+// A full bucket is the same as no bucket, so an item that only holds one can use this as its TTL.
+function fullBucketExpiry(
+  currentTime,
+  { maxTokens, refillRate, refillInterval },
+) {
+  return Math.ceil(
+    currentTime / 1000 + (maxTokens * refillInterval) / refillRate,
+  );
+}
+
+module.exports = { sanitizeNumber, sanitizeCost, fullBucketExpiry };
@@ -10,30 +10,17 @@ const {
   UpdateItemCommand,
 } = require("@aws-sdk/client-dynamodb");
 const { error } = require("./logger");
-
-function sanitizeNumber(
-  value,
-  defaultValue,
-  minValue = undefined,
-  maxValue = undefined,
-) {
-  let num = Number(value);
-  if (isNaN(num)) {
-    return defaultValue;
-  }
-  if (minValue !== undefined && num < minValue) {
-    num = minValue;
-  }
-  if (maxValue !== undefined && num > maxValue) {
-    num = maxValue;
-  }
-  return num;
-}
+const {
+  sanitizeNumber,
+  sanitizeCost,
+  fullBucketExpiry,
+} = require("./rateLimitInputs");
 
 // Sanitize and set defaults for DynamoDB item attributes
 // Handles missing or malformed data gracefully and caps values to prevent abuse
 // Returns a sanitized item object with guaranteed valid numeric fields
-function sanitizeItem(item) {
+// Limits passed by the caller take precedence over those stored on the item
+function sanitizeItem(item, limits = {}) {
   const currentTime = Date.now(); // In milliseconds (Using milliseconds reduces ABA problem likelihood https://grokipedia.com/page/ABA_problem)
   const hardMaxTokens = 2500; // Absolute maximum tokens to prevent abuse
   const hardMaxRefillRate = 2500; // Absolute maximum refill rate to prevent abuse
@@ -43,19 +30,19 @@ function sanitizeItem(item) {
   const defaultMaxTokens = 750; // Burst allowance
 
   const maxTokens = sanitizeNumber(
-    item?.maxTokens?.N,
+    limits.maxTokens ?? item?.maxTokens?.N,
     defaultMaxTokens,
     1,
     hardMaxTokens,
   );
   const refillRate = sanitizeNumber(
-    item?.refillRate?.N,
+    limits.refillRate ?? item?.refillRate?.N,
     defaultRefillRate,
     1,
     hardMaxRefillRate,
   );
   const refillInterval = sanitizeNumber(
-    item?.refillInterval?.N,
+    limits.refillInterval ?? item?.refillInterval?.N,
     defaultInterval,
     1,
   );
@@ -90,10 +77,15 @@ function sanitizeItem(item) {
 }
 
 // Atomic Token Bucket Rate Limiter
-// Each request consumes 1 token from the bucket
-// If no tokens are available, the request is denied Tokens are refilled based on the elapsed time since the last refill
+// Each request consumes `cost` tokens from the bucket (1 unless the caller weights it)
+// If fewer tokens than the cost are available, the request is denied Tokens are refilled based on the elapsed time since the last refill
 // This implementation uses DynamoDB to store the token bucket state for each client atomically via read-then-conditional-write.
-async function applyRateLimit(ddbClient, table, clientId) {
+async function applyRateLimit(
+  ddbClient,
+  table,
+  clientId,
+  { limits, cost, expireWhenFull } = {},
+) {
   const getParams = {
     TableName: table,
     Key: { clientId: { S: clientId } },
@@ -118,10 +110,11 @@ async function applyRateLimit(ddbClient, table, clientId) {
     }
   }
 
-  item = sanitizeItem(item);
+  item = sanitizeItem(item, limits);
+  const requestCost = sanitizeCost(cost, item.maxTokens);
 
   let rateLimitResult = {
-    allowed: item.cappedTokensFloored >= 1,
+    allowed: item.cappedTokensFloored >= requestCost,
     rateLimitRemaining: item.cappedTokensFloored, // Pre-consumption for denied
     rateLimitLimit: item.maxTokens,
     collision: false,
@@ -137,7 +130,7 @@ async function applyRateLimit(ddbClient, table, clientId) {
     rateLimitResult.rateLimitReset = 0;
   }
 
-  let newTokens = item.cappedTokensFloored - 1; // Post-consumption for allowed
+  let newTokens = item.cappedTokensFloored - requestCost; // Post-consumption for allowed
 
   if (rateLimitResult.allowed) {
     rateLimitResult.rateLimitRemaining = newTokens;
@@ -162,7 +155,7 @@ async function applyRateLimit(ddbClient, table, clientId) {
           lastRefill = :currentTime,
           refillRate = :refillRate,
           refillInterval = :refillInterval,
-          maxTokens = :maxTokens
+          maxTokens = :maxTokens${expireWhenFull ? ", expiresAt = :expiresAt" : ""}
     `,
     ConditionExpression: `
       attribute_not_exists(lastRefill) OR lastRefill = :oldLastRefill
@@ -174,6 +167,11 @@ async function applyRateLimit(ddbClient, table, clientId) {
       ":refillInterval": { N: item.refillInterval.toString() },
       ":maxTokens": { N: item.maxTokens.toString() },
       ":oldLastRefill": { N: item.lastRefill.toString() },
+      ...(expireWhenFull && {
+        ":expiresAt": {
+          N: fullBucketExpiry(item.currentTime, item).toString(),
+        },
+      }),
     },
     ReturnValues: "UPDATED_NEW",
   };
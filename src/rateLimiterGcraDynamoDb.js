@@ -0,0 +1,173 @@
+/**
+ * GCRA Rate Limiter (Generic Cell Rate Algorithm)
+ *
+ * - Stores a single attribute per client: `tat`, the theoretical arrival time (epoch ms) at which its bucket is full again.
+ * - Every request is one conditional UpdateItem with no GetItem first, so DynamoDB decides which concurrent requests fit
+ *   and none of them are lost. A wrong guess about the bucket's state costs one more UpdateItem.
+ * - Behaves like a token bucket of `maxTokens` refilled at `refillRate` tokens per `refillInterval` seconds.
+ * - Limits come from the caller, then those stored on the client's item, then the defaults below. The caller passes
+ *   the stored limits in as `storedLimits` when it has read them. Otherwise they are learned from the update's response,
+ *   so they apply from the next request this instance sees.
+ */
+const { UpdateItemCommand } = require("@aws-sdk/client-dynamodb");
+const { error } = require("./logger");
+const { sanitizeNumber, sanitizeCost } = require("./rateLimitInputs");
+const { setBounded } = require("./cache");
+
+// In-memory hints: Map<clientId, {tat: number, storedLimits: object}>. Only used to pick the likelier update.
+const hintCache = new Map();
+const hardMaxTokens = 2500; // Absolute maximum tokens to prevent abuse
+const hardMaxRefillRate = 2500; // Absolute maximum refill rate to prevent abuse
+const defaultRefillRate = 300; // Tokens per interval
+const defaultInterval = 60; // Seconds
+const defaultMaxTokens = 500; // Burst allowance
+
+// emissionInterval is the time (ms) one token takes to refill, and burst the time an empty bucket takes to fill
+function bucketParameters(limits = {}, storedLimits = {}) {
+  const maxTokens = sanitizeNumber(
+    limits.maxTokens ?? storedLimits.maxTokens,
+    defaultMaxTokens,
+    1,
+    hardMaxTokens,
+  );
+  const refillRate = sanitizeNumber(
+    limits.refillRate ?? storedLimits.refillRate,
+    defaultRefillRate,
+    1,
+    hardMaxRefillRate,
+  );
+  const refillInterval = sanitizeNumber(
+    limits.refillInterval ?? storedLimits.refillInterval,
+    defaultInterval,
+    1,
+  );
+  const emissionInterval = (refillInterval * 1000) / refillRate;
+
+  return {
+    maxTokens,
+    emissionInterval,
+    burst: maxTokens * emissionInterval,
+  };
+}
+
+function rememberItem(clientId, item) {
+  if (!item) return;
+
+  setBounded(hintCache, clientId, {
+    tat: Number(item.tat?.N) || 0,
+    storedLimits: {
+      maxTokens: item.maxTokens?.N,
+      refillRate: item.refillRate?.N,
+      refillInterval: item.refillInterval?.N,
+    },
+  });
+}
+
+// An idle bucket (tat in the past) is full, so the new tat starts from now
+function idleUpdate(table, clientId, currentTime, increment) {
+  return {
+    TableName: table,
+    Key: { clientId: { S: clientId } },
+    UpdateExpression: "SET tat = :newTat",
+    ConditionExpression: "attribute_not_exists(tat) OR tat <= :currentTime",
+    ExpressionAttributeValues: {
+      ":newTat": { N: (currentTime + increment).toString() },
+      ":currentTime": { N: currentTime.toString() },
+    },
+    ReturnValues: "ALL_NEW",
+    ReturnValuesOnConditionCheckFailure: "ALL_OLD",
+  };
+}
+
+// A busy bucket (tat in the future) only has room if tat hasn't passed maxTat
+function busyUpdate(table, clientId, currentTime, increment, maxTat) {
+  return {
+    TableName: table,
+    Key: { clientId: { S: clientId } },
+    UpdateExpression: "SET tat = tat + :increment",
+    ConditionExpression: "tat > :currentTime AND tat <= :maxTat",
+    ExpressionAttributeValues: {
+      ":increment": { N: increment.toString() },
+      ":currentTime": { N: currentTime.toString() },
+      ":maxTat": { N: maxTat.toString() },
+    },
+    ReturnValues: "ALL_NEW",
+    ReturnValuesOnConditionCheckFailure: "ALL_OLD",
+  };
+}
+
+// Remaining tokens are whatever still fits before the tat reaches now + burst.
+// The reset is when the bucket is full again, as for the token bucket limiters.
+function buildResult(allowed, tat, currentTime, bucket, collision = false) {
+  const backlog = Math.max(0, tat - currentTime);
+  const headroom = Math.max(0, bucket.burst - backlog);
+
+  return {
+    allowed,
+    rateLimitRemaining: Math.floor(headroom / bucket.emissionInterval),
+    rateLimitLimit: bucket.maxTokens,
+    rateLimitReset: Math.ceil(backlog / 1000),
+    collision,
+  };
+}
+
+async function applyRateLimit(
+  ddbClient,
+  table,
+  clientId,
+  { limits, storedLimits, cost, expireWhenFull } = {},
+) {
+  const currentTime = Date.now();
+  const hint = hintCache.get(clientId);
+  const bucket = bucketParameters(limits, storedLimits ?? hint?.storedLimits);
+  const requestCost = sanitizeCost(cost, bucket.maxTokens);
+  const increment = requestCost * bucket.emissionInterval;
+  const maxTat = currentTime + bucket.burst - increment; // The latest tat with room for this request
+  let tat = hint?.tat ?? 0;
+
+  // The first attempt guesses from the last tat this instance saw. A failed condition
+  // returns the stored item, so the second attempt knows which update applies.
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const updateParams =
+      tat <= currentTime
+        ? idleUpdate(table, clientId, currentTime, increment)
+        : busyUpdate(table, clientId, currentTime, increment, maxTat);
+
+    if (expireWhenFull) {
+      // The tat never passes now + burst, so by then the bucket is full and the item can go
+      updateParams.UpdateExpression += ", expiresAt = :expiresAt";
+      updateParams.ExpressionAttributeValues[":expiresAt"] = {
+        N: Math.ceil((currentTime + bucket.burst) / 1000).toString(),
+      };
+    }
+
+    try {
+      const result = await ddbClient.send(new UpdateItemCommand(updateParams));
+      rememberItem(clientId, result.Attributes);
+
+      return buildResult(
+        true,
+        Number(result.Attributes?.tat?.N) || currentTime + increment,
+        currentTime,
+        bucket,
+      );
+    } catch (err) {
+      if (err.name !== "ConditionalCheckFailedException") {
+        error("DynamoDB UpdateItem error in GCRA:", err);
+        throw err;
+      }
+
+      rememberItem(clientId, err.Item);
+      tat = Number(err.Item?.tat?.N) || 0;
+
+      if (tat > maxTat) {
+        return buildResult(false, tat, currentTime, bucket);
+      }
+    }
+  }
+
+  // Another request changed the tat between both attempts
+  return buildResult(false, tat, currentTime, bucket, true);
+}
+
+module.exports = { applyRateLimit, hintCache };
@@ -10,9 +10,15 @@ const {
   UpdateItemCommand,
 } = require("@aws-sdk/client-dynamodb");
 const { error } = require("./logger");
+const {
+  sanitizeNumber,
+  sanitizeCost,
+  fullBucketExpiry,
+} = require("./rateLimitInputs");
+const { setBounded } = require("./cache");
 
 // In-memory cache: Map<clientId, {tokens: number, lastRefill: number, ...}>
-const memoryCache = new Map(); // Local to Lambda invocation; approximate and non-persistent
+const memoryCache = new Map(); // Local to Lambda invocation; approximate, non-persistent and bounded
 
 const hardMaxTokens = 2500; // Absolute maximum tokens to prevent abuse
 const hardMaxRefillRate = 2500; // Absolute maximum refill rate to prevent abuse
@@ -20,44 +26,26 @@ const defaultRefillRate = 300; // Tokens per interval
 const defaultInterval = 60; // Seconds
 const defaultMaxTokens = 500; // Burst allowance
 
-function sanitizeNumber(
-  value,
-  defaultValue,
-  minValue = undefined,
-  maxValue = undefined,
-) {
-  let num = Number(value);
-  if (isNaN(num)) {
-    return defaultValue;
-  }
-  if (minValue !== undefined && num < minValue) {
-    num = minValue;
-  }
-  if (maxValue !== undefined && num > maxValue) {
-    num = maxValue;
-  }
-  return num;
-}
-
 // Sanitize and set defaults for DynamoDB item attributes
 // Handles missing or malformed data gracefully and caps values to prevent abuse
 // Returns a sanitized item object with guaranteed valid numeric fields
-function sanitizeItem(item) {
+// Limits passed by the caller take precedence over those stored on the item
+function sanitizeItem(item, limits = {}) {
   const currentTime = Date.now(); // In milliseconds
   const maxTokens = sanitizeNumber(
-    item?.maxTokens?.N,
+    limits.maxTokens ?? item?.maxTokens?.N,
     defaultMaxTokens,
     1,
     hardMaxTokens,
   );
   const refillRate = sanitizeNumber(
-    item?.refillRate?.N,
+    limits.refillRate ?? item?.refillRate?.N,
     defaultRefillRate,
     1,
     hardMaxRefillRate,
   );
   const refillInterval = sanitizeNumber(
-    item?.refillInterval?.N,
+    limits.refillInterval ?? item?.refillInterval?.N,
     defaultInterval,
     1,
   );
@@ -90,7 +78,12 @@ function sanitizeItem(item) {
   };
 }
 
-async function applyRateLimit(ddbClient, table, clientId) {
+async function applyRateLimit(
+  ddbClient,
+  table,
+  clientId,
+  { limits, cost, expireWhenFull } = {},
+) {
   const currentTime = Date.now();
   let cachedItem = memoryCache.get(clientId);
 
@@ -119,12 +112,12 @@ async function applyRateLimit(ddbClient, table, clientId) {
         throw err;
       }
     }
-    const sanitized = sanitizeItem(item);
+    const sanitized = sanitizeItem(item, limits);
     cachedItem = {
       ...sanitized,
       lastAccess: currentTime,
     };
-    memoryCache.set(clientId, cachedItem);
+    setBounded(memoryCache, clientId, cachedItem);
   }
 
   // Refill in-memory tokens approximately
@@ -138,9 +131,10 @@ async function applyRateLimit(ddbClient, table, clientId) {
     cachedItem.maxTokens,
   );
   cachedItem.cappedTokensFloored = Math.floor(cachedItem.cappedTokens);
+  const requestCost = sanitizeCost(cost, cachedItem.maxTokens);
 
   let rateLimitResult = {
-    allowed: cachedItem.cappedTokensFloored >= 1,
+    allowed: cachedItem.cappedTokensFloored >= requestCost,
     rateLimitRemaining: cachedItem.cappedTokensFloored, // Pre-consumption for denied
     rateLimitLimit: cachedItem.maxTokens,
     collision: false,
@@ -160,12 +154,12 @@ async function applyRateLimit(ddbClient, table, clientId) {
     return rateLimitResult; // Deny immediately if no tokens in approx cache
   }
 
-  // Consume token in-memory
-  const newTokens = cachedItem.cappedTokensFloored - 1;
+  // Consume tokens in-memory
+  const newTokens = cachedItem.cappedTokensFloored - requestCost;
   cachedItem.tokens = newTokens;
   cachedItem.lastRefill = currentTime;
   cachedItem.lastAccess = currentTime;
-  memoryCache.set(clientId, cachedItem);
+  setBounded(memoryCache, clientId, cachedItem);
 
   rateLimitResult.rateLimitRemaining = newTokens;
   if (rateLimitResult.rateLimitRemaining < cachedItem.maxTokens) {
@@ -188,7 +182,7 @@ async function applyRateLimit(ddbClient, table, clientId) {
           lastRefill = :currentTime,
           refillRate = :refillRate,
           refillInterval = :refillInterval,
-          maxTokens = :maxTokens
+          maxTokens = :maxTokens${expireWhenFull ? ", expiresAt = :expiresAt" : ""}
     `,
     ExpressionAttributeValues: {
       ":newTokens": { N: newTokens.toString() },
@@ -196,6 +190,11 @@ async function applyRateLimit(ddbClient, table, clientId) {
       ":refillRate": { N: cachedItem.refillRate.toString() },
       ":refillInterval": { N: cachedItem.refillInterval.toString() },
       ":maxTokens": { N: cachedItem.maxTokens.toString() },
+      ...(expireWhenFull && {
+        ":expiresAt": {
+          N: fullBucketExpiry(currentTime, cachedItem).toString(),
+        },
+      }),
     },
     ReturnValues: "NONE",
   };
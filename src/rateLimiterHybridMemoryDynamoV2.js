@@ -10,9 +10,15 @@ const {
   UpdateItemCommand,
 } = require("@aws-sdk/client-dynamodb");
 const { error } = require("./logger");
+const {
+  sanitizeNumber,
+  sanitizeCost,
+  fullBucketExpiry,
+} = require("./rateLimitInputs");
+const { setBounded } = require("./cache");
 
 // In-memory cache: Map<clientId, {tokens: number, lastRefill: number, ...}>
-const memoryCache = new Map(); // Local to Lambda invocation; approximate and non-persistent
+const memoryCache = new Map(); // Local to Lambda invocation; approximate, non-persistent and bounded
 const cacheTtlMs = 15000; // 15 seconds cache TTL
 const syncIntervalMs = 2000; // 2 seconds between syncs
 const hardMaxTokens = 2500; // Absolute maximum tokens to prevent abuse
@@ -33,27 +39,9 @@ function calculateRateLimitReset(
   return 0;
 }
 
-function sanitizeNumber(
-  value,
-  defaultValue,
-  minValue = undefined,
-  maxValue = undefined,
-) {
-  let num = Number(value);
-  if (isNaN(num)) {
-    return defaultValue;
-  }
-  if (minValue !== undefined && num < minValue) {
-    num = minValue;
-  }
-  if (maxValue !== undefined && num > maxValue) {
-    num = maxValue;
-  }
-  return num;
-}
-
 // Pure function to calculate the state of the token bucket.
-function calculateTokenState(item) {
+// Limits passed by the caller take precedence over those stored on the item.
+function calculateTokenState(item, limits = {}) {
   const currentTime = Date.now();
   // Handle both DynamoDB format { N: "value" } and plain number
   const getMaxTokens = (i) => i?.maxTokens?.N || i?.maxTokens;
@@ -63,19 +51,19 @@ function calculateTokenState(item) {
   const getTokens = (i) => i?.tokens?.N || i?.tokens;
 
   const maxTokens = sanitizeNumber(
-    getMaxTokens(item),
+    limits.maxTokens ?? getMaxTokens(item),
     defaultMaxTokens,
     1,
     hardMaxTokens,
   );
   const refillRate = sanitizeNumber(
-    getRefillRate(item),
+    limits.refillRate ?? getRefillRate(item),
     defaultRefillRate,
     1,
     hardMaxRefillRate,
   );
   const refillInterval = sanitizeNumber(
-    getRefillInterval(item),
+    limits.refillInterval ?? getRefillInterval(item),
     defaultInterval,
     1,
   );
@@ -105,14 +93,17 @@ async function syncToDynamo(
   initialState,
   isConsumed,
   retries = 1,
+  limits = {},
+  cost = 1,
+  expireWhenFull = false,
 ) {
   const { refillRate, refillInterval, maxTokens, cappedTokens } =
     calculateTokenState(initialState);
 
-  // If consumed, new token count is one less than the calculated capped tokens.
+  // If consumed, new token count is the cost less than the calculated capped tokens.
   // Otherwise, it's just the refilled tokens. Always floor for storage.
   const newTokens = isConsumed
-    ? Math.floor(cappedTokens - 1)
+    ? Math.floor(cappedTokens - cost)
     : Math.floor(cappedTokens);
 
   const updateParams = {
@@ -123,7 +114,7 @@ async function syncToDynamo(
           lastRefill = :currentTime,
           refillRate = :refillRate,
           refillInterval = :refillInterval,
-          maxTokens = :maxTokens
+          maxTokens = :maxTokens${expireWhenFull ? ", expiresAt = :expiresAt" : ""}
     `,
     ConditionExpression:
       "attribute_not_exists(lastRefill) OR lastRefill = :expectedLastRefill",
@@ -134,6 +125,15 @@ async function syncToDynamo(
       ":refillInterval": { N: refillInterval.toString() },
       ":maxTokens": { N: maxTokens.toString() },
       ":expectedLastRefill": { N: initialState.lastRefill.toString() },
+      ...(expireWhenFull && {
+        ":expiresAt": {
+          N: fullBucketExpiry(initialState.currentTime, {
+            maxTokens,
+            refillRate,
+            refillInterval,
+          }).toString(),
+        },
+      }),
     },
     ReturnValues: "NONE",
   };
@@ -151,14 +151,14 @@ async function syncToDynamo(
         };
         const getResult = await ddbClient.send(new GetItemCommand(getParams));
         const refreshedItem = getResult.Item || {};
-        const freshState = calculateTokenState(refreshedItem);
+        const freshState = calculateTokenState(refreshedItem, limits);
 
         const tokensAfterRefill = isConsumed
-          ? Math.floor(freshState.cappedTokens - 1)
+          ? Math.floor(freshState.cappedTokens - cost)
           : Math.floor(freshState.cappedTokens);
 
-        memoryCache.set(clientId, {
-          ...calculateTokenState(refreshedItem),
+        setBounded(memoryCache, clientId, {
+          ...freshState,
           tokens: tokensAfterRefill,
           lastAccess: Date.now(),
         });
@@ -171,6 +171,9 @@ async function syncToDynamo(
           freshState,
           isConsumed,
           retries - 1,
+          limits,
+          cost,
+          expireWhenFull,
         );
       } else {
         error(
@@ -184,7 +187,12 @@ async function syncToDynamo(
   }
 }
 
-async function applyRateLimit(ddbClient, table, clientId) {
+async function applyRateLimit(
+  ddbClient,
+  table,
+  clientId,
+  { limits, cost, expireWhenFull } = {},
+) {
   const currentTime = Date.now();
   let cachedItem = memoryCache.get(clientId);
 
@@ -198,21 +206,15 @@ async function applyRateLimit(ddbClient, table, clientId) {
     };
     try {
       const getResult = await ddbClient.send(new GetItemCommand(getParams));
-      const stateFromDB = calculateTokenState(getResult.Item || {});
+      const stateFromDB = calculateTokenState(getResult.Item || {}, limits);
 
       // Always populate the cache after a successful DB read.
       cachedItem = { ...stateFromDB, lastAccess: currentTime };
-      memoryCache.set(clientId, cachedItem);
+      setBounded(memoryCache, clientId, cachedItem);
     } catch (err) {
+      // Let the caller tell an unavailable limiter apart from a client that is out of tokens
       error("DynamoDB GetItem error:", err);
-      // On read error, deny the request to be safe.
-      return {
-        allowed: false,
-        rateLimitRemaining: 0,
-        rateLimitLimit: defaultMaxTokens,
-        collision: false,
-        rateLimitReset: 0,
-      };
+      throw err;
     }
   }
 
@@ -224,9 +226,10 @@ async function applyRateLimit(ddbClient, table, clientId) {
   const cappedTokens = Math.min(potentialTokens, cachedItem.maxTokens);
 
   // Decide if the request is allowed and formulate the result.
+  const requestCost = sanitizeCost(cost, cachedItem.maxTokens);
   const tokensFloored = Math.floor(cappedTokens);
-  const isAllowed = tokensFloored >= 1;
-  const remaining = isAllowed ? tokensFloored - 1 : tokensFloored;
+  const isAllowed = tokensFloored >= requestCost;
+  const remaining = isAllowed ? tokensFloored - requestCost : tokensFloored;
 
   const rateLimitResult = {
     allowed: isAllowed,
@@ -245,7 +248,7 @@ async function applyRateLimit(ddbClient, table, clientId) {
   const hasRefilled = cappedTokens > cachedItem.tokens;
 
   if (isAllowed || hasRefilled) {
-    const newTokens = isAllowed ? cappedTokens - 1 : cappedTokens;
+    const newTokens = isAllowed ? cappedTokens - requestCost : cappedTokens;
 
     cachedItem.tokens = newTokens;
     cachedItem.lastRefill = currentTime;
@@ -256,17 +259,26 @@ async function applyRateLimit(ddbClient, table, clientId) {
     if (currentTime - lastSyncTime > syncIntervalMs) {
       // Update the timestamp so we don't sync again immediately
       cachedItem.lastSync = currentTime;
-      memoryCache.set(clientId, cachedItem);
+      setBounded(memoryCache, clientId, cachedItem);
 
-      // Fire and forget (with retry logic)
-      syncToDynamo(ddbClient, table, clientId, cachedItem, isAllowed).catch(
-        (err) => {
-          error("Sync to Dynamo failed:", err);
-        },
-      );
+      // Fire and forget (with retry logic). Sync from the refilled count before this request,
+      // so the cost is charged once, by syncToDynamo.
+      syncToDynamo(
+        ddbClient,
+        table,
+        clientId,
+        { ...cachedItem, tokens: cappedTokens },
+        isAllowed,
+        1,
+        limits,
+        requestCost,
+        expireWhenFull,
+      ).catch((err) => {
+        error("Sync to Dynamo failed:", err);
+      });
     } else {
       // Just update the memory cache map without firing DB call
-      memoryCache.set(clientId, cachedItem);
+      setBounded(memoryCache, clientId, cachedItem);
     }
   }
 
@@ -0,0 +1,198 @@
+/**
+ * Redis Token Broker Rate Limiter
+ *
+ * - Keeps each client's token bucket in Redis and refills and consumes it in one server-side Lua script,
+ *   so concurrent requests from every edge location are counted exactly with a single round-trip.
+ * - Buckets are hashes under `<table>:<clientId>` that expire once they would have refilled completely.
+ * - Limits come from the caller, then those stored on the client's DynamoDB item, then the defaults below. The broker
+ *   doesn't read DynamoDB itself, so the caller passes the stored limits in as `storedLimits`.
+ * - If Redis can't be reached the request is handed to the caller's fallback limiter rather than failing,
+ *   since a broker outage shouldn't take the API down with it.
+ * - A cold start waits briefly for its first connection, so its first requests aren't all sent to the fallback.
+ */
+const Redis = require("ioredis");
+const { error } = require("./logger");
+const { sanitizeNumber, sanitizeCost } = require("./rateLimitInputs");
+
+const hardMaxTokens = 2500; // Absolute maximum tokens to prevent abuse
+const hardMaxRefillRate = 2500; // Absolute maximum refill rate to prevent abuse
+const defaultRefillRate = 300; // Tokens per interval
+const defaultInterval = 60; // Seconds
+const defaultMaxTokens = 500; // Burst allowance
+const connectTimeoutMs = 500;
+const connectingStatuses = ["wait", "connecting", "connect"];
+
+// Clients that have been ready at least once. Later disconnections fail fast, leaving requests to the fallback.
+const connectedClients = new WeakSet();
+
+// KEYS[1]: bucket. ARGV: maxTokens, refillRate, refillInterval (ms), now (epoch ms), cost.
+// Returns { allowed (0 | 1), tokens left }. Tokens are fractional, so they're returned as a string.
+const CONSUME_TOKENS_SCRIPT = `
+local maxTokens = tonumber(ARGV[1])
+local refillRate = tonumber(ARGV[2])
+local refillInterval = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local cost = tonumber(ARGV[5])
+
+local state = redis.call("HMGET", KEYS[1], "tokens", "lastRefill")
+local tokens = tonumber(state[1]) or maxTokens
+local lastRefill = tonumber(state[2]) or now
+local elapsed = math.max(0, now - lastRefill)
+
+tokens = math.min(maxTokens, tokens + (elapsed * refillRate) / refillInterval)
+
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "lastRefill", tostring(math.max(now, lastRefill)))
+redis.call("PEXPIRE", KEYS[1], math.ceil((maxTokens * refillInterval) / refillRate))
+
+return { allowed, tostring(tokens) }
+`;
+
+function defineScript(redisClient) {
+  if (typeof redisClient.consumeTokens !== "function") {
+    redisClient.defineCommand("consumeTokens", {
+      numberOfKeys: 1,
+      lua: CONSUME_TOKENS_SCRIPT,
+    });
+  }
+}
+
+// Fails fast while disconnected (no offline queue, short timeouts) so the fallback
+// limiter takes over instead of requests waiting on a broker that isn't there.
+function createRedisClient(url) {
+  const redisClient = new Redis(url, {
+    enableOfflineQueue: false,
+    connectTimeout: connectTimeoutMs,
+    commandTimeout: 200,
+    maxRetriesPerRequest: 0,
+  });
+
+  redisClient.on("error", (err) => {
+    error("Redis connection error:", err);
+  });
+  redisClient.on("ready", () => connectedClients.add(redisClient));
+  defineScript(redisClient);
+
+  return redisClient;
+}
+
+// Without the offline queue a command sent before the first connection fails straight away
+function waitForFirstConnection(redisClient) {
+  if (
+    connectedClients.has(redisClient) ||
+    !connectingStatuses.includes(redisClient.status)
+  ) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const settle = (err) => {
+      clearTimeout(timer);
+      redisClient.off("ready", onReady);
+      redisClient.off("error", onError);
+
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    };
+    // The connection error itself is logged by the client's error listener
+    const onReady = () => settle();
+    const onError = () =>
+      settle(new Error("Could not connect to the Redis token broker"));
+    const timer = setTimeout(
+      () => settle(new Error("Timed out connecting to the Redis token broker")),
+      connectTimeoutMs,
+    );
+
+    redisClient.once("ready", onReady);
+    redisClient.once("error", onError);
+  });
+}
+
+function calculateRateLimitReset(
+  remaining,
+  maxTokens,
+  refillInterval,
+  refillRate,
+) {
+  if (remaining < maxTokens) {
+    return Math.ceil(((maxTokens - remaining) * refillInterval) / refillRate);
+  }
+  return 0;
+}
+
+// `fallback` is called with no arguments when Redis is unavailable. Without one the error is thrown.
+async function applyRateLimit(
+  redisClient,
+  table,
+  clientId,
+  { limits = {}, storedLimits = {}, cost, fallback } = {},
+) {
+  const maxTokens = sanitizeNumber(
+    limits.maxTokens ?? storedLimits.maxTokens,
+    defaultMaxTokens,
+    1,
+    hardMaxTokens,
+  );
+  const refillRate = sanitizeNumber(
+    limits.refillRate ?? storedLimits.refillRate,
+    defaultRefillRate,
+    1,
+    hardMaxRefillRate,
+  );
+  const refillInterval = sanitizeNumber(
+    limits.refillInterval ?? storedLimits.refillInterval,
+    defaultInterval,
+    1,
+  );
+  const requestCost = sanitizeCost(cost, maxTokens);
+  let reply;
+
+  try {
+    if (!redisClient) throw new Error("No Redis token broker is configured");
+
+    await waitForFirstConnection(redisClient);
+    defineScript(redisClient);
+    reply = await redisClient.consumeTokens(
+      `${table}:${clientId}`,
+      maxTokens,
+      refillRate,
+      refillInterval * 1000,
+      Date.now(),
+      requestCost,
+    );
+  } catch (err) {
+    if (!fallback) {
+      error("Redis token broker error:", err);
+      throw err;
+    }
+
+    error("Redis token broker unavailable, using the fallback limiter:", err);
+    return fallback();
+  }
+
+  const [allowed, tokens] = reply;
+  const remaining = Math.floor(Number(tokens));
+
+  return {
+    allowed: allowed === 1,
+    rateLimitRemaining: remaining,
+    rateLimitLimit: maxTokens,
+    rateLimitReset: calculateRateLimitReset(
+      remaining,
+      maxTokens,
+      refillInterval,
+      refillRate,
+    ),
+    collision: false,
+  };
+}
+
+module.exports = { applyRateLimit, createRedisClient };
@@ -0,0 +1,172 @@
+/**
+ * Sliding Window Counter Rate Limiter
+ *
+ * - Counts each client's requests in one item per fixed window, keyed `<clientId>#window#<windowStart>`.
+ * - Counts only ever grow through DynamoDB `ADD`, so concurrent edge instances can't overwrite each other's requests
+ *   the way SET-based syncs can. A request that doesn't fit fails its condition and is denied, with no retry.
+ * - The rate is estimated from the current window's count plus the previous window's count, weighted by how much
+ *   of the previous window still overlaps the sliding window ending now.
+ * - Allows `refillRate` requests per `refillInterval` seconds. There is no separate burst allowance.
+ * - Limits come from the caller, then those stored on the client's item, then the defaults below. The caller
+ *   passes the stored limits in as `storedLimits`, since the window items don't hold them.
+ * - Window items carry an `expiresAt` TTL so DynamoDB removes them once they can no longer be counted.
+ */
+const {
+  GetItemCommand,
+  UpdateItemCommand,
+} = require("@aws-sdk/client-dynamodb");
+const { error } = require("./logger");
+const { sanitizeNumber, sanitizeCost } = require("./rateLimitInputs");
+const { setBounded } = require("./cache");
+
+// In-memory cache: Map<clientId, {windowStart: number, count: number}>. Holds the count of each client's
+// previous window, which stops changing once it closes, so it's only read from DynamoDB once per window.
+const previousWindowCache = new Map();
+const hardMaxRefillRate = 2500; // Absolute maximum requests per window to prevent abuse
+const defaultRefillRate = 300; // Requests per window
+const defaultInterval = 60; // Seconds
+
+function windowKey(clientId, windowStart) {
+  return { clientId: { S: `${clientId}#window#${windowStart}` } };
+}
+
+// Requests per window and the window length, from the caller's limits, then the stored ones, then the defaults
+function windowParameters(limits = {}, storedLimits = {}) {
+  return {
+    maxCount: sanitizeNumber(
+      limits.refillRate ?? storedLimits.refillRate,
+      defaultRefillRate,
+      1,
+      hardMaxRefillRate,
+    ),
+    refillInterval: sanitizeNumber(
+      limits.refillInterval ?? storedLimits.refillInterval,
+      defaultInterval,
+      1,
+    ),
+  };
+}
+
+async function getPreviousCount(ddbClient, table, clientId, windowStart) {
+  const cached = previousWindowCache.get(clientId);
+
+  if (cached && cached.windowStart === windowStart) {
+    return cached.count;
+  }
+
+  const getParams = {
+    TableName: table,
+    Key: windowKey(clientId, windowStart),
+    ProjectionExpression: "requestCount",
+  };
+  const getResult = await ddbClient.send(new GetItemCommand(getParams));
+  const count = Number(getResult.Item?.requestCount?.N) || 0;
+
+  setBounded(previousWindowCache, clientId, { windowStart, count });
+
+  return count;
+}
+
+// The sliding window is empty once the current window's requests have also slid out of it.
+// Like the token bucket limiters, the reset is when the full allowance is available again.
+function calculateRateLimitReset(
+  currentTime,
+  windowStart,
+  windowMs,
+  currentCount,
+  previousCount,
+) {
+  if (currentCount > 0) {
+    return Math.ceil((windowStart + 2 * windowMs - currentTime) / 1000);
+  }
+  if (previousCount > 0) {
+    return Math.ceil((windowStart + windowMs - currentTime) / 1000);
+  }
+  return 0;
+}
+
+async function applyRateLimit(
+  ddbClient,
+  table,
+  clientId,
+  { limits, storedLimits, cost } = {},
+) {
+  const { maxCount, refillInterval } = windowParameters(limits, storedLimits);
+  const requestCost = sanitizeCost(cost, maxCount);
+  const windowMs = refillInterval * 1000;
+  const currentTime = Date.now();
+  const windowStart = Math.floor(currentTime / windowMs) * windowMs;
+  const overlap = 1 - (currentTime - windowStart) / windowMs;
+
+  let previousCount;
+  try {
+    previousCount = await getPreviousCount(
+      ddbClient,
+      table,
+      clientId,
+      windowStart - windowMs,
+    );
+  } catch (err) {
+    error("DynamoDB GetItem error in sliding window:", err);
+    throw err;
+  }
+
+  const weightedPrevious = previousCount * overlap;
+  // The highest count the current window can already hold for this request to fit. When it's negative
+  // the previous window alone fills the allowance, so even an empty current window must fail the condition.
+  const maxCurrentCount = Math.floor(maxCount - weightedPrevious - requestCost);
+  const conditionExpression =
+    maxCurrentCount >= 0
+      ? "attribute_not_exists(requestCount) OR requestCount <= :maxCurrentCount"
+      : "requestCount <= :maxCurrentCount";
+  let allowed = true;
+  let currentCount;
+
+  const updateParams = {
+    TableName: table,
+    Key: windowKey(clientId, windowStart),
+    UpdateExpression: "ADD requestCount :cost SET expiresAt = :expiresAt",
+    ConditionExpression: conditionExpression,
+    ExpressionAttributeValues: {
+      ":cost": { N: requestCost.toString() },
+      ":maxCurrentCount": { N: maxCurrentCount.toString() },
+      // Kept until the window has slid out completely, then left for DynamoDB's TTL sweep
+      ":expiresAt": {
+        N: Math.ceil((windowStart + 2 * windowMs) / 1000).toString(),
+      },
+    },
+    ReturnValues: "UPDATED_NEW",
+    ReturnValuesOnConditionCheckFailure: "ALL_OLD",
+  };
+
+  try {
+    const result = await ddbClient.send(new UpdateItemCommand(updateParams));
+    currentCount = Number(result.Attributes?.requestCount?.N) || requestCost;
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") {
+      error("DynamoDB UpdateItem error in sliding window:", err);
+      throw err;
+    }
+
+    allowed = false;
+    currentCount = Number(err.Item?.requestCount?.N) || 0;
+  }
+
+  const estimatedCount = weightedPrevious + currentCount;
+
+  return {
+    allowed,
+    rateLimitRemaining: Math.max(0, Math.floor(maxCount - estimatedCount)),
+    rateLimitLimit: maxCount,
+    rateLimitReset: calculateRateLimitReset(
+      currentTime,
+      windowStart,
+      windowMs,
+      currentCount,
+      previousCount,
+    ),
+    collision: false,
+  };
+}
+
+module.exports = { applyRateLimit, previousWindowCache };
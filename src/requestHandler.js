@@ -1,9 +1,9 @@
-const { CognitoJwtVerifier } = require("aws-jwt-verify");
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
 const { NodeHttpHandler } = require("@smithy/node-http-handler");
 const https = require("https");
 
 const config = require("./config.json");
+const JWKS_SNAPSHOT = require("./jwks.json");
 
 const {
   applyRateLimit: reducedAtomicityHybridLimitV1,
@@ -14,71 +14,162 @@ const {
 const {
   applyRateLimit: fullyAtomicRateLimit,
 } = require("./rateLimiterAtomicDynamoDb");
+const { applyRateLimit: gcraRateLimit } = require("./rateLimiterGcraDynamoDb");
+const {
+  applyRateLimit: slidingWindowRateLimit,
+} = require("./rateLimiterSlidingWindowDynamoDb");
+const {
+  applyRateLimit: redisTokenBrokerLimit,
+  createRedisClient,
+} = require("./rateLimiterRedisTokenBroker");
 const { error } = require("./logger");
+const { compilePathPattern, matchPath } = require("./pathPattern");
+const { verifyApiKeyCached, apiKeyLookupRequired } = require("./apiKeys");
+const {
+  buildIssuers,
+  primeIssuers,
+  selectIssuer,
+  normalisePayload,
+} = require("./issuers");
+const { isTokenRevoked } = require("./tokenRevocation");
+const { getClientStatus } = require("./clientStatus");
+const { getClientEntitlements, effectiveScopes } = require("./entitlements");
+const { signIdentityAssertion } = require("./identityAssertion");
+const { errorResponse, tokenErrorCode } = require("./errors");
+const { anonymousClientKey, isIpInRanges } = require("./ipAddress");
+const {
+  compileCorsPolicy,
+  corsHeaders,
+  isPreflight,
+  preflightResponse,
+} = require("./cors");
+const {
+  CognitoJwtInvalidClientIdError,
+  JwtInvalidScopeError,
+  JwtNotBeforeError,
+} = require("aws-jwt-verify/error");
 const { performance } = require("perf_hooks");
 
 const rateLimitOptions = {
   "reduced-atomicity-hybrid-v1": reducedAtomicityHybridLimitV1,
   "reduced-atomicity-hybrid-v2": reducedAtomicityHybridLimitV2,
   "fully-atomic-dynamo": fullyAtomicRateLimit,
+  "gcra-dynamo": gcraRateLimit,
+  "sliding-window-dynamo": slidingWindowRateLimit,
+  // Falls back to the default limiter's DynamoDB bucket whenever the broker can't be reached
+  "redis-token-broker": (client, table, clientId, options) =>
+    redisTokenBrokerLimit(redisClient, table, clientId, {
+      ...options,
+      fallback: () =>
+        reducedAtomicityHybridLimitV2(client, table, clientId, options),
+    }),
 };
 
 const RATE_LIMITER_CONFIGURABLE_VIA_HEADER =
   config.RATE_LIMITER_CONFIGURABLE_VIA_HEADER;
 const DYNAMODB_TABLE = config.DYNAMODB_TABLE;
+const API_KEYS_TABLE = config.API_KEYS_TABLE;
+const REVOCATIONS_TABLE = config.REVOCATIONS_TABLE;
+const ENTITLEMENTS_TABLE = config.ENTITLEMENTS_TABLE;
+const REDIS_TOKEN_BROKER_URL = config.REDIS_TOKEN_BROKER_URL;
 const USER_POOL_ID = config.USER_POOL_ID;
-const SCOPES = config.SCOPES;
-
-const ERRORS = {
-  unauthorized: JSON.stringify({
-    errors: [
-      {
-        status: "401",
-        title: "Unauthorized",
-        detail:
-          "Authentication credentials were missing, incorrect or expired. Please sign up to the service to obtain valid credentials at https://hub.trade-tariff.service.gov.uk.",
-      },
-    ],
-  }),
-  forbidden: JSON.stringify({
-    errors: [
-      {
-        status: "403",
-        title: "Forbidden",
-        detail:
-          "You do not have permission to access this resource. Request access by signing up to the service at https://hub.trade-tariff.service.gov.uk.",
-      },
-    ],
-  }),
-  rateLimitExceeded: JSON.stringify({
-    errors: [
-      {
-        status: "429",
-        title: "Too Many Requests",
-        detail:
-          "You have exceeded your rate limit. Please try your request again later.",
-      },
-    ],
-  }),
-};
+const ISSUERS = config.ISSUERS || [];
+const SCOPES = compileScopes(config.SCOPES);
+const TOKEN_POLICY = compileTokenPolicy(config.TOKEN_POLICY);
+const PUBLIC_PATHS = compileRules(config.PUBLIC_PATHS);
+const AUTH_REQUIRED_PATHS = compileRules(config.AUTH_REQUIRED_PATHS);
+const CORS_POLICY = compileCorsPolicy(config.CORS, authorised);
+const RATE_LIMIT_GROUPS = compileRateLimitGroups(config.RATE_LIMIT_GROUPS);
+const REQUEST_COSTS = compileRequestCosts(config.REQUEST_COSTS);
+const ANONYMOUS_RATE_LIMIT = config.ANONYMOUS_RATE_LIMIT ?? { enabled: false };
+const IDENTITY_ASSERTION_SECRET = config.IDENTITY_ASSERTION_SECRET;
+const IDENTITY_ASSERTION_TTL_SECONDS = config.IDENTITY_ASSERTION_TTL_SECONDS;
+const RESERVED_HEADERS = (config.RESERVED_HEADERS || []).map((name) =>
+  name.toLowerCase(),
+);
+const RESERVED_HEADER_ACTION = config.RESERVED_HEADER_ACTION || "strip";
+
+const B64_TOKEN = /^[A-Za-z0-9\-._~+/]+=*$/;
 
 const tokenCache = new Map();
 const MAX_CACHE_SIZE = 1000;
 
+// An empty allowedClientIds list allows every client that isn't denied, as does a missing or null policy
+function compileTokenPolicy(policy) {
+  return {
+    allowedClientIds: policy?.allowedClientIds?.length
+      ? new Set(policy.allowedClientIds)
+      : null,
+    deniedClientIds: new Set(policy?.deniedClientIds || []),
+    requiredScopePrefixes: policy?.requiredScopePrefixes || [],
+    clockSkewSeconds: policy?.clockSkewSeconds ?? 0,
+  };
+}
+
+// Throws the verifier's own error classes so tokenErrorCode reports them like any other claim failure.
+// Tokens without a client id are left for the handler to reject as client_id_missing.
+function enforceTokenPolicy(payload, currentTime) {
+  const {
+    allowedClientIds,
+    deniedClientIds,
+    requiredScopePrefixes,
+    clockSkewSeconds,
+  } = TOKEN_POLICY;
+  const clientId = payload.client_id;
+
+  if (
+    clientId !== undefined &&
+    (deniedClientIds.has(clientId) ||
+      (allowedClientIds && !allowedClientIds.has(clientId)))
+  ) {
+    throw new CognitoJwtInvalidClientIdError(
+      `Client ${clientId} is not allowed`,
+      clientId,
+      allowedClientIds ? Array.from(allowedClientIds) : null,
+    );
+  }
+
+  if (payload.iat > currentTime + clockSkewSeconds) {
+    throw new JwtNotBeforeError(
+      "Token was issued in the future",
+      payload.iat,
+      currentTime,
+    );
+  }
+
+  if (requiredScopePrefixes.length > 0) {
+    const scopeList = payload.scope ? payload.scope.split(" ") : [];
+    const hasResourceServerScope = scopeList.some((scope) =>
+      requiredScopePrefixes.some((prefix) => scope.startsWith(prefix)),
+    );
+
+    if (!hasResourceServerScope) {
+      throw new JwtInvalidScopeError(
+        "Token has no scope for a trusted resource server",
+        payload.scope,
+        requiredScopePrefixes,
+      );
+    }
+  }
+}
+
 async function verifyTokenCached(token) {
   const currentTime = Math.floor(Date.now() / 1000);
 
   if (tokenCache.has(token)) {
     const payload = tokenCache.get(token);
 
-    if (payload.exp > currentTime) {
+    if (payload.exp + TOKEN_POLICY.clockSkewSeconds > currentTime) {
       return payload;
     }
 
     tokenCache.delete(token);
   }
 
-  const payload = await verifier.verify(token);
+  const issuer = selectIssuer(issuers, token);
+  const payload = normalisePayload(issuer, await issuer.verifier.verify(token));
+
+  enforceTokenPolicy(payload, currentTime);
 
   if (tokenCache.size >= MAX_CACHE_SIZE) {
     const firstKey = tokenCache.keys().next().value;
@@ -106,49 +197,313 @@ const ddbClient = new DynamoDBClient({
   }),
 });
 
-// Hoist the verifier to avoid recreating it on every invocation
-const verifier = CognitoJwtVerifier.create({
-  userPoolId: USER_POOL_ID,
-  tokenUse: "access",
-  clientId: null,
-});
+// Only connect to the token broker when the stage has one
+const redisClient = REDIS_TOKEN_BROKER_URL
+  ? createRedisClient(REDIS_TOKEN_BROKER_URL)
+  : undefined;
+
+// Hoist the verifiers to avoid recreating them on every invocation.
+// The stage's own user pool is always trusted; ISSUERS adds any others (e.g. during a pool migration).
+// Every verifier tolerates the same clock skew on exp/nbf as enforceTokenPolicy does on iat.
+const issuers = buildIssuers(
+  [
+    { name: "cognito", userPoolId: USER_POOL_ID, tokenUse: "access" },
+    ...ISSUERS,
+  ].map((issuerConfig) => ({
+    graceSeconds: TOKEN_POLICY.clockSkewSeconds,
+    ...issuerConfig,
+  })),
+);
+
+primeIssuers(issuers, JWKS_SNAPSHOT);
+
+const MALFORMED_ENCODING = /%(?![0-9a-f]{2})/i;
+const ENCODED_SEPARATOR = /%(2f|5c)/i;
+const NESTED_ENCODING = /%[0-9a-f]{2}/i;
+const FORBIDDEN_CHARACTERS = /[\x00-\x1f\x7f\\]/;
+const PATH_SAFE_CHARACTERS = /%(21|24|26|27|28|29|2A|2B|2C|3A|3B|3D|40)/g;
+
+function encodePathSegment(segment) {
+  return encodeURIComponent(segment).replace(PATH_SAFE_CHARACTERS, (encoded) =>
+    decodeURIComponent(encoded),
+  );
+}
+
+// Canonicalise the viewer's URI the way the origin will interpret it: decode
+// percent-encodings, collapse repeated slashes and resolve dot segments.
+// Returns null for anything ambiguous (encoded separators, double encoding,
+// control characters, invalid UTF-8 or escaping the root) so it can be rejected.
+function canonicalisePath(uri) {
+  if (typeof uri !== "string" || !uri.startsWith("/")) return null;
+  if (MALFORMED_ENCODING.test(uri) || ENCODED_SEPARATOR.test(uri)) return null;
+
+  const rawSegments = uri.split("/").slice(1);
+  const segments = [];
+
+  for (const rawSegment of rawSegments) {
+    let segment;
+    try {
+      segment = decodeURIComponent(rawSegment);
+    } catch {
+      return null;
+    }
+
+    if (NESTED_ENCODING.test(segment) || FORBIDDEN_CHARACTERS.test(segment)) {
+      return null;
+    }
+    if (segment === "" || segment === ".") continue;
+    if (segment === "..") {
+      if (segments.length === 0) return null;
+      segments.pop();
+      continue;
+    }
+
+    segments.push(segment);
+  }
+
+  const lastSegment = decodeURIComponent(rawSegments[rawSegments.length - 1]);
+  const trailingSlash =
+    segments.length > 0 && ["", ".", ".."].includes(lastSegment);
+
+  return `/${segments.map(encodePathSegment).join("/")}${trailingSlash ? "/" : ""}`;
+}
+
+// A path rule is either a path pattern, which inherits the scope's
+// allowedMethods, or an object of the form { path, methods }.
+function compileRule(rule, scopeConfig) {
+  const { path, methods } = typeof rule === "string" ? { path: rule } : rule;
+  const allowedMethods = methods || scopeConfig.allowedMethods;
+
+  return {
+    matcher: compilePathPattern(path),
+    methods: allowedMethods
+      ? allowedMethods.map((method) => method.toUpperCase())
+      : null,
+  };
+}
+
+// Rules outside a scope apply to every method unless they list their own
+function compileRules(rules) {
+  return (rules || []).map((rule) => compileRule(rule, {}));
+}
+
+// Each group is { name, paths, limits }. The name becomes part of the bucket key,
+// so renaming a group starts its clients on fresh buckets.
+function compileRateLimitGroups(groups) {
+  return (groups || []).map(({ name, paths, limits }) => ({
+    name,
+    rules: compileRules(paths),
+    limits,
+  }));
+}
+
+// Each entry is { paths, cost }: the number of tokens a matching request takes from its bucket
+function compileRequestCosts(costs) {
+  return (costs || []).map(({ paths, cost }) => ({
+    rules: compileRules(paths),
+    cost,
+  }));
+}
 
-function authorised(scopes, path) {
+function matchesRule(rules, path, method) {
+  return rules.some(
+    (rule) =>
+      matchPath(rule.matcher, path) &&
+      (!rule.methods || rule.methods.includes(method)),
+  );
+}
+
+// Compile every scope's path patterns once at module load so that
+// authorisation at request time is only a handful of regex tests.
+function compileScopes(scopes) {
+  const compiled = {};
+
+  for (const [scope, scopeConfig] of Object.entries(scopes || {})) {
+    compiled[scope] = {
+      allowedPaths: (scopeConfig.allowedPaths || []).map((rule) =>
+        compileRule(rule, scopeConfig),
+      ),
+      excludedPaths: (scopeConfig.excludedPaths || []).map((pattern) =>
+        compilePathPattern(pattern),
+      ),
+    };
+  }
+
+  return compiled;
+}
+
+// Scopes are evaluated independently and any one of them may grant access.
+// Within a scope, a matching excludedPaths pattern always wins over allowedPaths,
+// regardless of the order or specificity of the patterns.
+function authorised(scopes, path, method = "GET") {
   const scopeList = scopes ? scopes.split(" ") : [];
+  const requestMethod = method.toUpperCase();
 
   for (const scope of scopeList) {
     const config = SCOPES[scope];
     if (!config) continue;
-    let isExcluded = false;
-    if (config.excludedPaths) {
-      for (const excludedPath of config.excludedPaths) {
-        if (path.includes(excludedPath)) {
-          isExcluded = true;
-          break;
-        }
-      }
-    }
+
+    const isExcluded = config.excludedPaths.some((matcher) =>
+      matchPath(matcher, path),
+    );
     if (isExcluded) continue;
-    if (config.allowedPaths) {
-      for (const allowedPath of config.allowedPaths) {
-        if (path.startsWith(allowedPath)) {
-          return true;
-        }
-      }
-    }
+
+    if (matchesRule(config.allowedPaths, path, requestMethod)) return true;
   }
 
   return false;
 }
 
+// A client's entitlements wrap the scope check: its excluded paths are always denied
+// and its allowed paths always granted, whatever scopes the token carries.
+function entitled(entitlements, scopes, path, method = "GET") {
+  const requestMethod = method.toUpperCase();
+
+  if (entitlements) {
+    if (matchesRule(entitlements.excludedPaths, path, requestMethod)) {
+      return false;
+    }
+    if (matchesRule(entitlements.allowedPaths, path, requestMethod)) {
+      return true;
+    }
+  }
+
+  return authorised(scopes, path, requestMethod);
+}
+
+// Anonymous requests are forwarded unless the path is protected.
+// PUBLIC_PATHS carves exceptions out of AUTH_REQUIRED_PATHS, e.g. a health check under /admin.
+function requiresAuthentication(path, method = "GET") {
+  const requestMethod = method.toUpperCase();
+
+  if (matchesRule(PUBLIC_PATHS, path, requestMethod)) return false;
+
+  return matchesRule(AUTH_REQUIRED_PATHS, path, requestMethod);
+}
+
+function suspensionMeta({ status, reason, expiresAt }) {
+  const meta = { clientStatus: status };
+
+  if (reason) meta.reason = reason;
+  if (expiresAt) meta.until = new Date(expiresAt * 1000).toISOString();
+
+  return meta;
+}
+
+// The first matching group wins. Requests outside every group share the client's own bucket.
+function rateLimitGroup(path, method = "GET") {
+  const requestMethod = method.toUpperCase();
+
+  return (
+    RATE_LIMIT_GROUPS.find((group) =>
+      matchesRule(group.rules, path, requestMethod),
+    ) ?? null
+  );
+}
+
+// The first matching entry sets the cost. Everything else costs a single token.
+function requestCost(path, method = "GET") {
+  const requestMethod = method.toUpperCase();
+  const match = REQUEST_COSTS.find(({ rules }) =>
+    matchesRule(rules, path, requestMethod),
+  );
+
+  return match?.cost ?? 1;
+}
+
+// The scopes that would have authorised the request, for insufficient_scope challenges
+function scopesAllowing(path, method) {
+  return Object.keys(SCOPES).filter((scope) => authorised(scope, path, method));
+}
+
+function buildRateLimitHeaders(
+  { rateLimitRemaining, rateLimitLimit, rateLimitReset, collision },
+  group = null,
+) {
+  const rateLimitHeaders = {
+    "x-ratelimit-limit": [
+      { key: "X-RateLimit-Limit", value: rateLimitLimit.toString() },
+    ],
+    "x-ratelimit-remaining": [
+      { key: "X-RateLimit-Remaining", value: rateLimitRemaining.toString() },
+    ],
+    "x-ratelimit-reset": [
+      { key: "X-RateLimit-Reset", value: rateLimitReset.toString() },
+    ],
+  };
+
+  if (group) {
+    rateLimitHeaders["x-ratelimit-group"] = [
+      { key: "X-RateLimit-Group", value: group.name },
+    ];
+  }
+
+  if (collision) {
+    rateLimitHeaders["x-ratelimit-collision"] = [
+      { key: "X-RateLimit-Collision", value: "true" },
+    ];
+  }
+
+  return rateLimitHeaders;
+}
+
+// Charges a request to the bucket of the viewer's address. Buckets are keyed by address, with limits
+// from config rather than the table. There's one per address seen, so their items expire once full again.
+// Resolves to undefined when anonymous rate limits are disabled.
+async function applyAnonymousRateLimit(applyRateLimit, clientIp, cost) {
+  const anonymousKey =
+    ANONYMOUS_RATE_LIMIT.enabled && anonymousClientKey(clientIp);
+
+  if (!anonymousKey) return undefined;
+
+  return applyRateLimit(ddbClient, DYNAMODB_TABLE, anonymousKey, {
+    limits: ANONYMOUS_RATE_LIMIT.limits,
+    cost,
+    expireWhenFull: true,
+  });
+}
+
 async function handler(event, context, callback) {
   const tStart = performance.now();
   const request = event.Records[0].cf.request;
+  const requestId = event.Records[0].cf.config?.requestId;
   const headers = request.headers;
   const authHeader = headers["authorization"];
+  const accept = headers["accept"]?.map(({ value }) => value).join(",");
+  const acceptLanguage = headers["accept-language"]
+    ?.map(({ value }) => value)
+    .join(",");
+  const origin = headers["origin"]?.[0]?.value;
+  // Until the path is canonicalised, rejections get CORS headers for the raw URI
+  let responseCorsHeaders = corsHeaders(
+    CORS_POLICY,
+    origin,
+    request.uri,
+    request.method,
+  );
+  const reject = (code, options = {}) =>
+    errorResponse(code, {
+      ...options,
+      headers: { ...responseCorsHeaders, ...options.headers },
+      accept,
+      acceptLanguage,
+    });
 
   context.callbackWaitsForEmptyEventLoop = false;
 
+  // Headers the authenticator writes must never come from the viewer
+  const spoofedHeaders = RESERVED_HEADERS.filter((name) => headers[name]);
+
+  if (spoofedHeaders.length > 0) {
+    if (RESERVED_HEADER_ACTION === "reject") {
+      return callback(null, reject("reserved_header"));
+    }
+
+    for (const name of spoofedHeaders) {
+      delete headers[name];
+    }
+  }
+
   let applyRateLimit;
 
   if (RATE_LIMITER_CONFIGURABLE_VIA_HEADER) {
@@ -163,122 +518,285 @@ async function handler(event, context, callback) {
     applyRateLimit = rateLimitOptions["reduced-atomicity-hybrid-v2"];
   }
 
-  // If no Authorization header, forward as unauthenticated
-  if (!authHeader || authHeader.length === 0) {
+  const canonicalPath = canonicalisePath(request.uri);
+
+  if (canonicalPath === null) {
+    return callback(null, reject("path_malformed"));
+  }
+
+  // Forward the canonical form so the origin serves exactly what was authorised
+  request.uri = canonicalPath;
+
+  // Preflights never carry credentials, so answer them before authentication
+  const preflight = preflightResponse(CORS_POLICY, request, canonicalPath);
+
+  if (preflight) {
+    return callback(null, preflight);
+  }
+
+  // Leave preflights no CORS rule covers for the origin to answer
+  if (CORS_POLICY && isPreflight(request)) {
+    return callback(null, request);
+  }
+
+  responseCorsHeaders = corsHeaders(
+    CORS_POLICY,
+    origin,
+    canonicalPath,
+    request.method,
+  );
+
+  const apiKeyHeader = headers["x-api-key"];
+  const hasAuthHeader = authHeader && authHeader.length > 0;
+  const hasApiKey = apiKeyHeader && apiKeyHeader.length > 0;
+
+  // If no credentials, forward as unauthenticated
+  if (!hasAuthHeader && !hasApiKey) {
+    if (requiresAuthentication(canonicalPath, request.method)) {
+      return callback(null, reject("authentication_required"));
+    }
+
+    let rateLimitResult;
+
+    try {
+      rateLimitResult = await applyAnonymousRateLimit(
+        applyRateLimit,
+        request.clientIp,
+        requestCost(canonicalPath, request.method),
+      );
+    } catch (err) {
+      error("Rate limit check failed:", err);
+      return callback(null, reject("limiter_unavailable"));
+    }
+
+    if (rateLimitResult) {
+      const rateLimitHeaders = buildRateLimitHeaders(rateLimitResult);
+
+      if (!rateLimitResult.allowed) {
+        return callback(
+          null,
+          reject("rate_limited", { headers: rateLimitHeaders }),
+        );
+      }
+
+      Object.assign(request.headers, rateLimitHeaders);
+    }
+
     request.headers["x-client-id"] = [{ key: "X-Client-Id", value: "unknown" }];
     return callback(null, request);
   }
 
-  const authValue = authHeader[0].value;
-  if (!authValue.startsWith("Bearer ")) {
-    return callback(null, {
-      status: "401",
-      statusDescription: "Unauthorized",
-      body: ERRORS.unauthorized,
-    });
+  // A bearer token takes precedence over an API key when both are sent
+  let token;
+
+  if (hasAuthHeader) {
+    // The auth scheme is case-insensitive (RFC 6750 section 2.1)
+    const [scheme, ...credentials] = authHeader[0].value.trim().split(/ +/);
+
+    if (scheme.toLowerCase() !== "bearer") {
+      return callback(null, reject("credentials_unsupported"));
+    }
+
+    if (credentials.length !== 1 || !B64_TOKEN.test(credentials[0])) {
+      return callback(null, reject("token_malformed"));
+    }
+
+    token = credentials[0];
   }
 
-  const token = authValue.split(" ")[1];
+  // API keys are long-lived secrets so never forward them to the origin
+  delete request.headers["x-api-key"];
 
-  try {
-    const tAuthStart = performance.now();
-    const payload = await verifyTokenCached(token);
-    const tAuthEnd = performance.now();
-    const clientId = payload.client_id;
-
-    if (!clientId) {
-      return callback(null, {
-        status: "401",
-        statusDescription: "Unauthorized",
-        body: ERRORS.unauthorized,
-      });
+  const tAuthStart = performance.now();
+  let payload;
+
+  if (token) {
+    try {
+      payload = await verifyTokenCached(token);
+    } catch (err) {
+      error("Token verification failed:", err);
+      return callback(null, reject(tokenErrorCode(err)));
     }
+  } else {
+    const apiKey = apiKeyHeader[0].value;
+
+    // A key that isn't cached costs a DynamoDB read, so the viewer's address pays for the lookup.
+    // Otherwise made-up keys would skip the anonymous rate limit and read the table for free.
+    if (apiKeyLookupRequired(apiKey)) {
+      let rateLimitResult;
+
+      try {
+        rateLimitResult = await applyAnonymousRateLimit(
+          applyRateLimit,
+          request.clientIp,
+          1,
+        );
+      } catch (err) {
+        error("Rate limit check failed:", err);
+        return callback(null, reject("limiter_unavailable"));
+      }
 
-    const scopes = payload.scope;
-    const path = request.uri;
+      if (rateLimitResult && !rateLimitResult.allowed) {
+        return callback(
+          null,
+          reject("rate_limited", {
+            headers: buildRateLimitHeaders(rateLimitResult),
+          }),
+        );
+      }
+    }
 
-    if (!authorised(scopes, path)) {
-      return callback(null, {
-        status: "403",
-        statusDescription: "Forbidden",
-        body: ERRORS.forbidden,
-      });
+    try {
+      payload = await verifyApiKeyCached(ddbClient, API_KEYS_TABLE, apiKey);
+    } catch (err) {
+      error("API key lookup failed:", err);
+      return callback(null, reject("auth_unavailable"));
     }
+  }
 
-    const tLimitStart = performance.now();
-    const {
-      allowed,
-      rateLimitRemaining,
-      rateLimitLimit,
-      rateLimitReset,
-      collision,
-    } = await applyRateLimit(ddbClient, DYNAMODB_TABLE, clientId);
-    const tLimitEnd = performance.now();
-
-    const rateLimitHeaders = {
-      "x-ratelimit-limit": [
-        { key: "X-RateLimit-Limit", value: rateLimitLimit.toString() },
-      ],
-      "x-ratelimit-remaining": [
-        { key: "X-RateLimit-Remaining", value: rateLimitRemaining.toString() },
-      ],
-      "x-ratelimit-reset": [
-        { key: "X-RateLimit-Reset", value: rateLimitReset.toString() },
-      ],
-    };
+  const tAuthEnd = performance.now();
+  const clientId = payload?.client_id;
+
+  if (!clientId) {
+    return callback(
+      null,
+      reject(token ? "client_id_missing" : "api_key_invalid"),
+    );
+  }
+
+  let clientStatus;
+  let entitlements;
 
-    if (collision) {
-      rateLimitHeaders["x-ratelimit-collision"] = [
-        { key: "X-RateLimit-Collision", value: "true" },
-      ];
+  try {
+    // Cached verification results are still checked so revocations apply immediately
+    if (
+      token &&
+      (await isTokenRevoked(ddbClient, REVOCATIONS_TABLE, payload))
+    ) {
+      return callback(null, reject("token_revoked"));
     }
 
-    const tTotal = performance.now() - tStart;
-    const authDuration = tAuthEnd - tAuthStart;
-    const limitDuration = tLimitEnd - tLimitStart;
-    const overhead = tTotal - (authDuration + limitDuration);
-
-    console.log(
-      JSON.stringify({
-        log_type: "LATENCY_DEBUG",
-        client_id: clientId,
-        total_ms: tTotal.toFixed(2),
-        auth_ms: authDuration.toFixed(2),
-        limit_ms: limitDuration.toFixed(2),
-        overhead_ms: overhead.toFixed(2),
-        region: process.env.AWS_REGION || "unknown",
-        memory_mb: process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE,
+    [clientStatus, entitlements] = await Promise.all([
+      getClientStatus(ddbClient, DYNAMODB_TABLE, clientId),
+      getClientEntitlements(ddbClient, ENTITLEMENTS_TABLE, clientId),
+    ]);
+  } catch (err) {
+    error("Client lookup failed:", err);
+    return callback(null, reject("auth_unavailable"));
+  }
+
+  if (clientStatus.status !== "active") {
+    return callback(
+      null,
+      reject(`client_${clientStatus.status}`, {
+        meta: suspensionMeta(clientStatus),
+      }),
+    );
+  }
+
+  // Credentials restricted to a partner's egress ranges are useless if leaked
+  if (
+    clientStatus.allowedCidrs &&
+    !isIpInRanges(request.clientIp, clientStatus.allowedCidrs)
+  ) {
+    return callback(null, reject("client_ip_not_allowed"));
+  }
+
+  // Entitlements take effect immediately, without waiting for the client's tokens to refresh
+  const scopes = effectiveScopes(payload.scope, entitlements);
+
+  if (!entitled(entitlements, scopes, canonicalPath, request.method)) {
+    return callback(
+      null,
+      reject("scope_insufficient", {
+        scope: scopesAllowing(canonicalPath, request.method).join(" "),
       }),
     );
+  }
 
-    if (!allowed) {
-      return callback(null, {
-        status: "429",
-        statusDescription: "Too Many Requests",
-        body: ERRORS.rateLimitExceeded,
-        headers: rateLimitHeaders,
-      });
-    }
-    Object.assign(request.headers, rateLimitHeaders);
+  const tLimitStart = performance.now();
+  const group = rateLimitGroup(canonicalPath, request.method);
+  let rateLimitResult;
 
-    request.headers["x-client-id"] = [
+  try {
+    rateLimitResult = await applyRateLimit(
+      ddbClient,
+      DYNAMODB_TABLE,
+      group ? `${clientId}#${group.name}` : clientId,
       {
-        key: "X-Client-Id",
-        value: clientId,
+        limits: group?.limits,
+        // For limiters that don't read the client's item themselves. Group buckets have their own items.
+        storedLimits: group ? undefined : clientStatus.limits,
+        cost: requestCost(canonicalPath, request.method),
       },
-    ];
-
-    // Forward the modified request
-    return callback(null, request);
+    );
   } catch (err) {
-    error("Token verification failed:", err);
-    // If Authorization present but invalid, reject with 401
-    return callback(null, {
-      status: "401",
-      statusDescription: "Unauthorized",
-      body: ERRORS.unauthorized,
-    });
+    error("Rate limit check failed:", err);
+    return callback(null, reject("limiter_unavailable"));
+  }
+
+  const tLimitEnd = performance.now();
+  const rateLimitHeaders = buildRateLimitHeaders(rateLimitResult, group);
+
+  const tTotal = performance.now() - tStart;
+  const authDuration = tAuthEnd - tAuthStart;
+  const limitDuration = tLimitEnd - tLimitStart;
+  const overhead = tTotal - (authDuration + limitDuration);
+
+  console.log(
+    JSON.stringify({
+      log_type: "LATENCY_DEBUG",
+      client_id: clientId,
+      total_ms: tTotal.toFixed(2),
+      auth_ms: authDuration.toFixed(2),
+      limit_ms: limitDuration.toFixed(2),
+      overhead_ms: overhead.toFixed(2),
+      region: process.env.AWS_REGION || "unknown",
+      memory_mb: process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE,
+    }),
+  );
+
+  if (!rateLimitResult.allowed) {
+    return callback(
+      null,
+      reject("rate_limited", { headers: rateLimitHeaders }),
+    );
   }
+  Object.assign(request.headers, rateLimitHeaders);
+
+  request.headers["x-client-id"] = [
+    {
+      key: "X-Client-Id",
+      value: clientId,
+    },
+  ];
+  request.headers["x-client-issuer"] = [
+    {
+      key: "X-Client-Issuer",
+      value: payload.issuer_name,
+    },
+  ];
+
+  if (IDENTITY_ASSERTION_SECRET) {
+    request.headers["x-identity-assertion"] = [
+      {
+        key: "X-Identity-Assertion",
+        value: signIdentityAssertion(
+          {
+            clientId,
+            scope: scopes,
+            issuer: payload.issuer_name,
+            requestId,
+          },
+          IDENTITY_ASSERTION_SECRET,
+          IDENTITY_ASSERTION_TTL_SECONDS,
+        ),
+      },
+    ];
+  }
+
+  // Forward the modified request
+  return callback(null, request);
 }
 
 module.exports.handler = handler;
@@ -7,6 +7,8 @@ async function handler(event) {
     request.headers["x-ratelimit-remaining"] || [];
   response.headers["x-ratelimit-reset"] =
     request.headers["x-ratelimit-reset"] || [];
+  response.headers["x-ratelimit-group"] =
+    request.headers["x-ratelimit-group"] || [];
 
   return response;
 }
@@ -0,0 +1,55 @@
+/**
+ * Token Revocation
+ *
+ * - Verified tokens are otherwise trusted until `exp`, so a denylist is checked on every request.
+ * - `jti#<jti>` items revoke a single token. `client#<clientId>` items with `revokedBefore` (epoch seconds)
+ *   revoke every token issued to that client before that time.
+ * - Lookups (including misses) are cached briefly in memory, which bounds how long a revocation takes to apply.
+ */
+const { GetItemCommand } = require("@aws-sdk/client-dynamodb");
+const { createTtlCache } = require("./cache");
+
+// Cached {revoked: boolean, revokedBefore: number} by revocationKey
+const revocationCache = createTtlCache({ ttlMs: 30000 });
+
+async function getRevocation(ddbClient, table, revocationKey) {
+  const cached = revocationCache.get(revocationKey);
+
+  if (cached) {
+    return cached;
+  }
+
+  const getParams = {
+    TableName: table,
+    Key: { revocationKey: { S: revocationKey } },
+    ProjectionExpression: "revocationKey, revokedBefore",
+  };
+  const getResult = await ddbClient.send(new GetItemCommand(getParams));
+  const item = getResult.Item;
+  const revocation = {
+    revoked: Boolean(item),
+    revokedBefore: Number(item?.revokedBefore?.N) || 0,
+  };
+
+  revocationCache.set(revocationKey, revocation);
+
+  return revocation;
+}
+
+// Expects a verified token payload. Tokens without a jti can only be revoked per client.
+async function isTokenRevoked(ddbClient, table, payload) {
+  const [tokenRevocation, clientRevocation] = await Promise.all([
+    payload.jti
+      ? getRevocation(ddbClient, table, `jti#${payload.jti}`)
+      : { revoked: false },
+    getRevocation(ddbClient, table, `client#${payload.client_id}`),
+  ]);
+
+  if (tokenRevocation.revoked) return true;
+
+  const issuedAt = Number(payload.iat) || 0;
+
+  return clientRevocation.revoked && issuedAt < clientRevocation.revokedBefore;
+}
+
+module.exports = { isTokenRevoked, revocationCache };